@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// bin/lf6000.js
+// Headless front end for cron and shell scripts. It drives the running
+// server over its API (the same calls the dashboard makes), so runs, the
+// sent list and the review/sequence queues stay owned by one process.
+//
+//   lf6000 search <niche> [--city Austin] [--limit 10] [--json]
+//   lf6000 enrich <url|file.csv> [--out enriched.csv] [--json]
+//   lf6000 run --niche dentist --cities "Austin, TX" --cap 25 --template "Missed calls" [--dry-run] [--out results.csv]
+//   lf6000 run --list leads.csv --template "Missed calls"
+//   lf6000 dedupe stats|clear
+//   lf6000 smtp verify|test [--to me@example.com]
+//
+// Server and credentials come from .env: LF6000_URL (default http://localhost:$PORT),
+// LF6000_USER / LF6000_PASS (default BASIC_AUTH_USER / BASIC_AUTH_PASS).
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { parse as parseCsv } from 'csv-parse/sync';
+import csvWriterPkg from 'csv-writer';
+import { runPool } from '../src/runner.js';
+import { suggestMapping } from '../src/sources.js';
+
+const { createObjectCsvWriter } = csvWriterPkg;
+
+/* -------------------------------- Config -------------------------------- */
+
+const BASE_URL = (process.env.LF6000_URL || `http://localhost:${process.env.PORT || 4002}`).replace(/\/+$/, '');
+const USER = process.env.LF6000_USER ?? process.env.BASIC_AUTH_USER ?? '';
+const PASS = process.env.LF6000_PASS ?? process.env.BASIC_AUTH_PASS ?? '';
+const ENRICH_CONCURRENCY = Number(process.env.LF6000_ENRICH_CONCURRENCY || 4);
+
+const USAGE = `Usage: lf6000 <command> [options]
+
+  search <niche> [--city <city>] [--limit <n>] [--json]
+      Sample a Places search (what a run would start from).
+  enrich <url|file.csv> [--out <file>] [--json]
+      Crawl one site, or every website in a CSV, for contact emails.
+  run --niche <niche> --cities <areas> [--cap <n>] [--template <id|name>]...
+      [--subject <text> --body <text>] [--sequence <id>] [--site <demo url>]
+      [--dry-run] [--review] [--ignore-previous] [--out <file>] [--quiet]
+  run --list <file.csv> [same options]
+      Start a run and follow it; the results CSV is saved when it ends.
+      Ctrl-C cancels the run (a second Ctrl-C leaves it running on the server).
+  dedupe stats|clear
+      Count or clear the previously-contacted list.
+  smtp verify|test [--to <email>]
+      Check the SMTP login, or send a test email.
+
+Server: ${BASE_URL} (LF6000_URL)`;
+
+/* ---------------------------------- API ---------------------------------- */
+
+class CliError extends Error {}
+
+const authHeader = () => (USER || PASS ? { Authorization: 'Basic ' + Buffer.from(`${USER}:${PASS}`).toString('base64') } : {});
+
+async function call(method, url, body) {
+  let resp;
+  try {
+    resp = await fetch(BASE_URL + url, {
+      method,
+      headers: { ...authHeader(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (e) {
+    throw new CliError(`Can't reach the server at ${BASE_URL} (${e.cause?.code || e.message}). Is it running?`);
+  }
+  if (resp.status === 401) throw new CliError('Not authorized: check LF6000_USER / LF6000_PASS (or BASIC_AUTH_USER / BASIC_AUTH_PASS)');
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok || data.ok === false || data.error) throw new CliError(data.error || `${method} ${url} failed: ${resp.status}`);
+  return data;
+}
+
+const api = {
+  get:  (url) => call('GET', url),
+  post: (url, body) => call('POST', url, body),
+};
+
+// Server-sent events from /api/stream, as { event, data } objects
+async function* events(url, signal) {
+  const resp = await fetch(BASE_URL + url, { headers: authHeader(), signal });
+  if (!resp.ok) throw new CliError(`Stream failed: ${resp.status}`);
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of resp.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let at;
+    while ((at = buf.indexOf('\n\n')) >= 0) {
+      const block = buf.slice(0, at);
+      buf = buf.slice(at + 2);
+      const event = /^event: (.*)$/m.exec(block)?.[1] || 'message';
+      const data = /^data: (.*)$/m.exec(block)?.[1];
+      yield { event, data: data ? JSON.parse(data) : null };
+    }
+  }
+}
+
+/* -------------------------------- Helpers -------------------------------- */
+
+const print = (...a) => console.log(...a);
+const json = (x) => print(JSON.stringify(x, null, 2));
+const time = (ts) => new Date(ts).toTimeString().slice(0, 8);
+const isUrl = (s) => /^https?:\/\//i.test(s) || (!/\.(csv|json)$/i.test(s) && /^[\w-]+(\.[\w-]+)+(\/|$)/.test(s));
+
+async function download(file, out) {
+  const resp = await fetch(BASE_URL + file, { headers: authHeader() });
+  if (!resp.ok) throw new CliError(`Download failed: ${resp.status}`);
+  await fs.writeFile(out, Buffer.from(await resp.arrayBuffer()));
+  return out;
+}
+
+// --template takes an id or a (case-insensitive) name from the library
+async function templateIds(wanted) {
+  if (!wanted.length) return undefined;
+  const { templates } = await api.get('/api/templates');
+  return wanted.map(w => {
+    const t = templates.find(x => x.id === w) || templates.find(x => x.name.toLowerCase() === w.toLowerCase());
+    if (!t) throw new CliError(`Unknown template "${w}" (have: ${templates.map(x => x.name).join(', ') || 'none'})`);
+    return t.id;
+  });
+}
+
+/* -------------------------------- Commands ------------------------------- */
+
+async function search(args, opts) {
+  const niche = args.join(' ').trim();
+  if (!niche) throw new CliError('Usage: lf6000 search <niche> [--city <city>]');
+  const q = new URLSearchParams({ niche, city: opts.city || 'Austin', limit: opts.limit || '10' });
+  const { count, sample } = await api.get(`/api/places-test?${q}`);
+  if (opts.json) return json(sample);
+  print(`🔎 "${niche} in ${opts.city || 'Austin'}": ${count} on the first page`);
+  for (const b of sample) print(`  ${b.name}  ${b.website || '(no website)'}  ${[b.city, b.state].filter(Boolean).join(', ')}`);
+}
+
+async function enrich(args, opts) {
+  const target = args[0];
+  if (!target) throw new CliError('Usage: lf6000 enrich <url|file.csv>');
+
+  if (isUrl(target)) {
+    const r = await api.get(`/api/enrich-test?site=${encodeURIComponent(target)}`);
+    if (opts.json) return json(r);
+    if (!r.contact) return print(`❎ No email found on ${target}`);
+    print(`✅ ${r.contact.email}${r.contact.name ? ` (${r.contact.name}${r.contact.role ? `, ${r.contact.role}` : ''})` : ''}`);
+    for (const c of r.emails || []) print(`  ${c.email}  score ${c.score}  ${c.method}  ${c.source || ''}`);
+    if (r.profile?.phones?.length) print(`  📞 ${r.profile.phones.join(', ')}`);
+    return;
+  }
+
+  // A CSV: crawl every row's website, keep the row's own columns, add what we found
+  const rows = parseCsv(await fs.readFile(target, 'utf8'), { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  const headers = Object.keys(rows[0] || {});
+  const col = suggestMapping(headers);
+  if (!col.website) throw new CliError(`No website column in ${target} (headers: ${headers.join(', ')})`);
+
+  let done = 0, hits = 0;
+  const progress = !opts.json && process.stderr.isTTY; // no \r noise in cron logs
+  const out = rows.map(r => ({ ...r }));
+  await runPool(out.map(r => async () => {
+    const site = r[col.website];
+    if (site) {
+      try {
+        const { contact, emails = [], profile } = await api.get(`/api/enrich-test?site=${encodeURIComponent(site)}`);
+        Object.assign(r, {
+          email: contact?.email || '', contactName: contact?.name || '', contactRole: contact?.role || '',
+          allEmails: emails.map(c => `${c.email} (${c.score}, ${c.method})`).join('; '), phones: (profile?.phones || []).join(' '),
+        });
+        if (contact?.email) hits++;
+      } catch (e) {
+        r.error = e.message;
+      }
+    }
+    done++;
+    if (progress) process.stderr.write(`\r🔍 ${done}/${out.length} sites, ${hits} with an email`);
+  }), ENRICH_CONCURRENCY);
+  if (progress) process.stderr.write('\n');
+  if (opts.json) return json(out);
+
+  const file = opts.out || target.replace(/\.csv$/i, '') + '-enriched.csv';
+  const extra = ['email', 'contactName', 'contactRole', 'allEmails', 'phones', 'error'];
+  await createObjectCsvWriter({
+    path: file,
+    header: [...headers.filter(h => !extra.includes(h)), ...extra].map(id => ({ id, title: id })),
+  }).writeRecords(out);
+  print(`💾 ${file}`);
+}
+
+async function run(_args, opts) {
+  const payload = {
+    niche: opts.niche,
+    cities: opts.cities,
+    cap: opts.cap ? Number(opts.cap) : undefined,
+    templateIds: await templateIds(opts.template || []),
+    subject: opts.subject,
+    body: opts.body,
+    sequenceId: opts.sequence,
+    yourSite: opts.site,
+    dryRun: !!opts['dry-run'],
+    reviewFirst: !!opts.review,
+    ignorePrevious: !!opts['ignore-previous'],
+  };
+  if (!payload.templateIds && !payload.sequenceId && !payload.subject && !payload.body) {
+    Object.assign(payload, await api.get('/api/defaults')); // the dashboard's prefilled subject/body
+  }
+
+  let started;
+  if (opts.list) {
+    const csv = await fs.readFile(opts.list, 'utf8');
+    const { mapping } = await api.post('/api/import/preview', { csv });
+    started = await api.post('/api/import', { ...payload, csv, mapping });
+    print(`📥 ${started.imported} leads imported from ${path.basename(opts.list)}${started.skipped ? ` (${started.skipped} rows without a website or email)` : ''}`);
+  } else {
+    if (!payload.niche) throw new CliError('Usage: lf6000 run --niche <niche> --cities <areas> (or --list <file.csv>)');
+    started = await api.post('/api/run', payload);
+  }
+  const { jobId } = started;
+  print(`🚀 Job ${jobId}`);
+
+  // First Ctrl-C cancels the run on the server; we keep following it to the end
+  let cancelling = false;
+  const follow = new AbortController();
+  process.on('SIGINT', () => {
+    if (cancelling) { follow.abort(); return; }
+    cancelling = true;
+    print('\n🛑 Cancelling… (Ctrl-C again to detach)');
+    api.post(`/api/cancel?jobId=${jobId}`).catch(e => print(`💥 ${e.message}`));
+  });
+
+  let result = null;
+  try {
+    for await (const { event, data } of events(`/api/stream?jobId=${jobId}`, follow.signal)) {
+      if (event === 'log' && !opts.quiet) print(`${time(data.ts)}  ${data.message}`);
+      if (event === 'done') { result = data; break; }
+    }
+  } catch (e) {
+    if (!follow.signal.aborted) throw e;
+  }
+  if (!result) {
+    print(`↪️ Detached; job ${jobId} keeps running on the server`);
+    return 0;
+  }
+
+  const s = result.stats || {};
+  print(`🏁 ${result.doneReason}: found ${s.found}, with email ${s.withEmail}, sent ${s.sent}, in outbox ${s.outbox || 0}, would send ${s.wouldSend}, queued ${s.queued}, skipped ${s.skipped}`);
+  if (result.file) print(`💾 ${await download(result.file, opts.out || path.basename(result.file))}`);
+  return { error: 1, cancelled: 130 }[result.doneReason] || 0; // cron sees failed/cancelled runs
+}
+
+async function dedupe([action]) {
+  if (action === 'stats') {
+    const s = await api.get('/api/dedupe/stats');
+    return print(`📇 ${s.total} previously contacted (${s.places ?? 0} Places listings)`);
+  }
+  if (action === 'clear') { await api.post('/api/dedupe/clear'); return print('🧹 Previously-contacted list cleared'); }
+  throw new CliError('Usage: lf6000 dedupe stats|clear');
+}
+
+async function smtp([action], opts) {
+  if (action === 'verify') { await api.get('/api/email-verify'); return print('✅ SMTP login OK'); }
+  if (action === 'test') {
+    const r = await api.get(`/api/email-test${opts.to ? `?to=${encodeURIComponent(opts.to)}` : ''}`);
+    return print(`✅ Test email sent${r.id ? ` (${r.id})` : ''}`);
+  }
+  throw new CliError('Usage: lf6000 smtp verify|test [--to <email>]');
+}
+
+const COMMANDS = { search, enrich, run, dedupe, smtp };
+
+/* ---------------------------------- Main --------------------------------- */
+
+const OPTIONS = {
+  city: { type: 'string' }, limit: { type: 'string' }, json: { type: 'boolean' }, out: { type: 'string' },
+  niche: { type: 'string' }, cities: { type: 'string' }, cap: { type: 'string' }, list: { type: 'string' },
+  template: { type: 'string', multiple: true }, subject: { type: 'string' }, body: { type: 'string' },
+  sequence: { type: 'string' }, site: { type: 'string' },
+  'dry-run': { type: 'boolean' }, review: { type: 'boolean' }, 'ignore-previous': { type: 'boolean' }, quiet: { type: 'boolean' },
+  to: { type: 'string' }, help: { type: 'boolean', short: 'h' },
+};
+
+let parsed;
+try { parsed = parseArgs({ options: OPTIONS, allowPositionals: true }); }
+catch (e) { console.error(`${e.message}\n\n${USAGE}`); process.exit(2); }
+
+const [name, ...args] = parsed.positionals;
+if (!name || parsed.values.help) { print(USAGE); process.exit(0); }
+if (!COMMANDS[name]) { console.error(`Unknown command "${name}"\n\n${USAGE}`); process.exit(2); }
+
+try {
+  process.exitCode = (await COMMANDS[name](args, parsed.values)) || 0;
+} catch (e) {
+  console.error(`💥 ${e instanceof CliError ? e.message : e?.stack || e}`);
+  process.exitCode = 1;
+}
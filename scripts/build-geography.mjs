@@ -0,0 +1,82 @@
+// scripts/build-geography.mjs
+// Rebuilds data/us-geography.json from GeoNames extracts shipped on npm:
+//   all-the-cities  populated places with population + coordinates
+//   zipcodes-us     ZIP codes with place, county + coordinates
+// Both are devDependencies; the server only ever reads the JSON.
+//
+//   npm run build:geo
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const OUT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'us-geography.json');
+
+const r4 = (n) => Math.round(n * 1e4) / 1e4;
+
+// The 50 states and DC only: zipcodes-us also carries freely associated states (MH = Marshall Islands)
+// and, depending on the extract, territories and military mail codes
+const NOT_STATES = new Set(['AA', 'AE', 'AP', 'AS', 'FM', 'GU', 'MH', 'MP', 'PR', 'PW', 'UM', 'VI']);
+// GeoNames names the capital "Washington, D.C."; as a city in DC it's plain Washington ("Washington, DC")
+const CITY_NAMES = { 'Washington, D.C.': 'Washington' };
+
+// zipcodes-us only exports its lookup API; the raw GeoNames TSV sits next to it
+const zipTsv = await fs.readFile(path.join(path.dirname(require.resolve('zipcodes-us')), '..', 'data', 'US.txt'), 'utf8');
+const zipRows = zipTsv.split('\n').filter(Boolean).map(line => {
+  const [, zipCode, placeName, stateName, stateCode, countyName, , , , lat, lng] = line.split('\t');
+  return { zipCode, placeName, stateName, stateCode, countyName, latitude: Number(lat), longitude: Number(lng) };
+});
+const allCities = require('all-the-cities');
+
+// ZIPs: { "78701": [lat, lng, place, state, county] }
+const states = {};
+const zips = {};
+for (const z of zipRows) {
+  if (!/^\d{5}$/.test(z.zipCode) || !z.stateCode || NOT_STATES.has(z.stateCode) || !Number.isFinite(z.latitude)) continue;
+  states[z.stateCode] ||= z.stateName;
+  zips[z.zipCode] = [r4(z.latitude), r4(z.longitude), z.placeName, z.stateCode, z.countyName || ''];
+}
+
+// Cities don't carry a county in GeoNames' cities1000; take the nearest ZIP's
+const CELL = 0.5;
+const buckets = new Map();
+const cellKey = (lat, lng) => `${Math.floor(lat / CELL)}:${Math.floor(lng / CELL)}`;
+for (const row of Object.values(zips)) {
+  const k = cellKey(row[0], row[1]);
+  if (!buckets.has(k)) buckets.set(k, []);
+  buckets.get(k).push(row);
+}
+function countyAt(lat, lng, state) {
+  let best = null, bestD = Infinity;
+  const ci = Math.floor(lat / CELL), cj = Math.floor(lng / CELL);
+  for (let di = -1; di <= 1; di++) for (let dj = -1; dj <= 1; dj++) {
+    for (const z of buckets.get(`${ci + di}:${cj + dj}`) || []) {
+      if (z[3] !== state) continue;
+      const d = (z[0] - lat) ** 2 + (z[1] - lng) ** 2;
+      if (d < bestD) { bestD = d; best = z; }
+    }
+  }
+  return best?.[4] || '';
+}
+
+// Cities: [name, state, county, population, lat, lng], biggest first
+const cities = allCities
+  .filter(c => c.country === 'US' && states[c.adminCode] && c.population > 0)
+  .map(c => {
+    const [lng, lat] = c.loc.coordinates;
+    return [CITY_NAMES[c.name] || c.name, c.adminCode, countyAt(lat, lng, c.adminCode), c.population, r4(lat), r4(lng)];
+  })
+  .sort((a, b) => b[3] - a[3]);
+
+const out = {
+  source: 'GeoNames (CC BY 4.0) via all-the-cities and zipcodes-us',
+  builtAt: new Date().toISOString().slice(0, 10),
+  states: Object.fromEntries(Object.entries(states).sort()),
+  cities,
+  zips,
+};
+
+await fs.mkdir(path.dirname(OUT), { recursive: true });
+await fs.writeFile(OUT, JSON.stringify(out));
+console.log(`✅ ${OUT}: ${Object.keys(states).length} states, ${cities.length} cities, ${Object.keys(zips).length} ZIPs`);
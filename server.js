@@ -7,12 +7,31 @@ import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 
 import { fetchBusinessesPage } from './src/places.js';
-import { findEmailOnSite } from './src/enrich.js';
+import { findEmailCandidates } from './src/enrich.js';
 import { sendEmail, transporter } from './src/mailer.js';
+import { createReviewQueue } from './src/review.js';
+import { createSequenceEngine } from './src/sequences.js';
+import { createScheduler } from './src/schedules.js';
+import { jsonStore } from './src/store.js';
+import { createOutbox } from './src/outbox.js';
+import { cleanSendWindow, nextOpening, windowTimeZone, describeWindow, describeLocal } from './src/sendwindow.js';
+import { createJobStore, jobSnapshot } from './src/jobs.js';
+import { createSuppressionList } from './src/suppression.js';
+import { createInbound } from './src/inbound.js';
+import { unsubscribeUrl, verifyUnsubscribeToken } from './src/unsubscribe.js';
+import { createTemplateLibrary } from './src/templates.js';
+import { renderTemplate, validateTemplate } from './src/render.js';
+import { createEmailVerifier } from './src/verify.js';
+import { cleanRules, placesFieldsFor, checkListing, checkProfile } from './src/qualify.js';
+import { cleanGrid, gridSearch, tileLabel } from './src/grid.js';
+import { runJob, leadStream } from './src/runner.js';
+import { expandArea, expandAreas, splitAreas, timeZoneFor } from './src/geo.js';
+import { cleanSource, sourceFor, getSource, listSources, listLeadFiles, saveLeadFile, removeLeadFile, suggestMapping, normalizeRow, LEAD_COLUMNS, LEAD_SOURCE } from './src/sources.js';
+import { parse as parseCsv } from 'csv-parse/sync';
 
 // csv-writer is CJS
 import csvWriterPkg from 'csv-writer';
-const { createObjectCsvWriter } = csvWriterPkg;
+const { createObjectCsvWriter, createObjectCsvStringifier } = csvWriterPkg;
 
 const app = express();
 const __filename = fileURLToPath(import.meta.url);
@@ -36,8 +55,11 @@ app.use((req, res, next) => {
 });
 
 /* ------------------------------ IP allow list ---------------------------- */
+// Recipients must always reach their unsubscribe link, wherever they are
+const isUnsubscribePath = (req) => req.path.startsWith('/u/');
+
 app.use((req, res, next) => {
-  if (!ALLOW_IPS.length) return next();
+  if (!ALLOW_IPS.length || isUnsubscribePath(req)) return next();
   const fwd = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
   const ip  = fwd || req.ip || '';
   if (ALLOW_IPS.includes(ip)) return next();
@@ -55,8 +77,35 @@ app.use('/brand', express.static(path.join(__dirname, 'public/brand'), {
   }
 }));
 
+/* ------------------------- Public one-click unsubscribe ------------------- */
+/* RFC 8058: mail clients POST "List-Unsubscribe=One-Click" here without auth.
+   GET (a human clicking the footer link) only shows a confirm button, so link
+   scanners that prefetch URLs can't unsubscribe anyone by accident. */
+function unsubscribePage(title, text, form = '') {
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${title}</title></head><body style="font:16px/1.5 system-ui,sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem">
+<h1 style="font-size:1.4rem">${title}</h1><p>${text}</p>${form}</body></html>`;
+}
+
+app.get('/u/:token', (req, res) => {
+  const email = verifyUnsubscribeToken(req.params.token);
+  res.set('Cache-Control', 'no-store');
+  if (!email) return res.status(400).send(unsubscribePage('Link not valid', 'This unsubscribe link is invalid or incomplete.'));
+  const form = `<form method="post"><button style="font:inherit;padding:.5rem 1rem">Unsubscribe</button></form>`;
+  res.send(unsubscribePage('Unsubscribe', 'Stop receiving emails from us at this address?', form));
+});
+
+app.post('/u/:token', express.urlencoded({ extended: false }), (req, res) => {
+  const email = verifyUnsubscribeToken(req.params.token);
+  res.set('Cache-Control', 'no-store');
+  if (!email) return res.status(400).send(unsubscribePage('Link not valid', 'This unsubscribe link is invalid or incomplete.'));
+  suppression.add(email, 'unsubscribed', req.body?.['List-Unsubscribe'] === 'One-Click' ? 'one-click' : 'link');
+  sequences.exit(email, 'unsubscribed');
+  res.send(unsubscribePage('Unsubscribed', 'You won’t hear from us again at this address.'));
+});
+
 /* ------------------------------- Basic auth ------------------------------ */
-// Protect everything EXCEPT /brand (and optionally robots if you want it public)
+// Protect everything EXCEPT /brand and /u/ (and optionally robots if you want it public)
 function requireAuth(req, res, next) {
   if (!BASIC_USER || !BASIC_PASS) return res.status(503).send('Auth not configured');
   const header = req.headers.authorization || '';
@@ -73,6 +122,7 @@ function requireAuth(req, res, next) {
 app.use((req, res, next) => {
   // allow /brand and /brand/...
   if (req.path === '/brand' || req.path.startsWith('/brand/')) return next();
+  if (isUnsubscribePath(req)) return next();
   return requireAuth(req, res, next);
 });
 
@@ -84,6 +134,8 @@ app.disable('x-powered-by');
 
 const corsOrigins = (process.env.CORS_ORIGIN || '').split(',').map(s=>s.trim()).filter(Boolean);
 app.use(cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: false }));
+// Lead lists come in as JSON-wrapped CSV text; parsed here first, the 1mb parser below then skips them
+app.use('/api/import', express.json({ limit: process.env.IMPORT_MAX_BODY || '20mb' }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -117,65 +169,360 @@ async function queueSaveSent() {
 }
 await loadSent();
 
+// Place IDs of businesses already mailed: later runs skip them before crawling the site again
+const placesStore = jsonStore(path.join(__dirname, 'contacted-places.json'), { fallback: () => [], label: 'dedupe' });
+const CONTACTED_PLACES = new Set(await placesStore.load());
+function rememberPlace(placeId) {
+  if (!placeId || CONTACTED_PLACES.has(placeId)) return;
+  CONTACTED_PLACES.add(placeId);
+  placesStore.data = [...CONTACTED_PLACES];
+  placesStore.save();
+}
+function forgetPlace(placeId) {
+  if (!CONTACTED_PLACES.delete(placeId)) return;
+  placesStore.data = [...CONTACTED_PLACES];
+  placesStore.save();
+}
+
 /* --------------------------- Dedupe handy endpoints ---------------------- */
-app.get('/api/dedupe/stats', (_req, res) => res.json({ ok:true, total: SENT.size }));
+app.get('/api/dedupe/stats', (_req, res) => res.json({ ok:true, total: SENT.size, places: CONTACTED_PLACES.size }));
 app.post('/api/dedupe/clear', async (_req, res) => {
   SENT = new Set();
   try { await fs.writeFile(SENT_FILE, '[]'); } catch {}
+  CONTACTED_PLACES.clear();
+  placesStore.data = [];
+  await placesStore.flush();
   res.json({ ok:true, cleared:true });
 });
 
+/* ---------------------- Suppression list (persisted) --------------------- */
+const suppression = createSuppressionList(path.join(__dirname, 'suppression.json'));
+await suppression.load();
+
+/* ------------------------ Suppression endpoints -------------------------- */
+app.get('/api/suppression', (req, res) => {
+  const { type, q } = req.query;
+  res.json({ ok:true, counts: suppression.counts(), items: suppression.list({ type, q }) });
+});
+
+// Does anything block this address? ?email=bob@acme.com
+app.get('/api/suppression/check', (req, res) => {
+  res.json({ ok:true, match: suppression.match(String(req.query.email || '')) });
+});
+
+// { value: 'acme.com' } or { values: ['bob@x.com', 'noreply@*'] }, optional reason
+app.post('/api/suppression', (req, res) => {
+  const values = [].concat(req.body?.values || req.body?.value || []);
+  const reason = String(req.body?.reason || 'manual').slice(0, 100);
+  const added = values.map(v => suppression.add(v, reason, 'api')).filter(Boolean);
+  if (!added.length) return res.status(400).json({ ok:false, error:'no_valid_rules' });
+  res.json({ ok:true, added });
+});
+
+app.delete('/api/suppression/:rule', (req, res) => {
+  if (!suppression.remove(req.params.rule)) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true });
+});
+
+// CSV with a header row; the rule comes from value/email/domain/pattern (else first column), reason is optional
+app.post('/api/suppression/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : String(req.body?.csv || '');
+  let records;
+  try { records = parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, bom: true }); }
+  catch (e) { return res.status(400).json({ ok:false, error:`bad_csv: ${e.message}` }); }
+
+  let added = 0, invalid = 0;
+  for (const r of records) {
+    const value = r.value ?? r.email ?? r.domain ?? r.pattern ?? r.rule ?? Object.values(r)[0];
+    if (suppression.add(value, String(r.reason || 'import').slice(0, 100), 'csv')) added++; else invalid++;
+  }
+  res.json({ ok:true, added, invalid, total: suppression.size });
+});
+
+app.get('/api/suppression/export', (_req, res) => {
+  const csv = createObjectCsvStringifier({
+    header: [
+      { id: 'rule',   title: 'value' },
+      { id: 'type',   title: 'type' },
+      { id: 'reason', title: 'reason' },
+      { id: 'source', title: 'source' },
+      { id: 'added',  title: 'added' },
+    ],
+  });
+  const rows = suppression.list().map(e => ({ ...e, added: new Date(e.at).toISOString() }));
+  res.type('text/csv').attachment('suppression.csv').send(csv.getHeaderString() + csv.stringifyRecords(rows));
+});
+
+/* ------------------------- Template library ------------------------------ */
+const templates = createTemplateLibrary(path.join(__dirname, 'templates.json'), { seed: path.join(__dirname, 'public/templates.json') });
+await templates.load();
+
+app.get('/api/templates', (_req, res) => res.json({ ok:true, templates: templates.list() }));
+
+app.post('/api/templates', (req, res) => {
+  try { res.json({ ok:true, template: templates.create(req.body || {}) }); }
+  catch (e) { res.status(400).json({ ok:false, error:String(e.message || e) }); }
+});
+
+app.put('/api/templates/:id', (req, res) => {
+  try {
+    const t = templates.update(req.params.id, req.body || {});
+    if (!t) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, template: t });
+  } catch (e) { res.status(400).json({ ok:false, error:String(e.message || e) }); }
+});
+
+app.delete('/api/templates/:id', (req, res) => {
+  if (!templates.remove(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true });
+});
+
+/* ------------------------- Review queue (persisted) ---------------------- */
+const review = createReviewQueue(path.join(__dirname, 'review-queue.json'));
+await review.load();
+
+/* ---------------------- Email verification (cached) ---------------------- */
+const verifier = createEmailVerifier({ file: path.join(__dirname, 'email-verify.json') });
+await verifier.load();
+const SKIP_RISKY = /^(1|true|yes)$/i.test(String(process.env.VERIFY_SKIP_RISKY || ''));
+const undeliverable = (v) => v.verdict === 'invalid' || (SKIP_RISKY && v.verdict === 'risky');
+
+app.get('/api/email-check', async (req, res) => {
+  const email = String(req.query.email || '').trim();
+  if (!email) return res.status(400).json({ ok: false, error: 'Set ?email=someone@example.com' });
+  res.json({ ok: true, ...(await verifier.verify(email)) });
+});
+
+/* ------------------------ Inbound replies / bounces ---------------------- */
+const inbound = createInbound({
+  file: path.join(__dirname, 'inbound.json'),
+  isKnown: (email) => SENT.has(email),
+  onOutcome: (email, outcome, event, meta) => {
+    if (outcome === 'bounced' || outcome === 'unsubscribed') suppression.add(email, outcome, 'inbound');
+    if (outcome !== 'auto_reply') sequences.exit(email, outcome);
+    if (outcome === 'replied' && !event.repeat) creditReply(meta).catch(e => console.warn('[inbound] reply credit failed:', e?.message || e));
+  },
+  log: (m) => console.log('[inbound]', m),
+});
+await inbound.load();
+
+// Every outgoing campaign email goes through here so replies/bounces can be matched back.
+// opts.meta ({ jobId, variant }) rides along so a later reply is credited to its run/variant.
+async function deliver(to, subject, text, { meta, ...opts } = {}) {
+  if (suppression.has(to)) throw new Error('suppressed');
+  const r = await sendEmail(to, subject, text, { ...opts, unsubscribeUrl: unsubscribeUrl(to) || undefined });
+  inbound.recordSent(r?.id, to, meta);
+  return r;
+}
+
+// Change the counters of a run that may be live or long finished (replies, outbox sends)
+async function updateJobStats(jobId, bump) {
+  if (!jobId) return;
+  const live = jobs.get(jobId);
+  if (live) {
+    bump(live.stats);
+    jobStore.save(jobId, live);
+    if (live._senders) for (const fn of live._senders) fn('stats', live.stats);
+    return;
+  }
+  const rec = await jobStore.get(jobId);
+  if (!rec) return;
+  bump(rec.stats);
+  await jobStore.update(jobId, { stats: rec.stats });
+}
+
+// Bump reply counters on the run that sent the first email
+function creditReply({ jobId, variant } = {}) {
+  return updateJobStats(jobId, (stats) => {
+    stats.replied = (stats.replied || 0) + 1;
+    if (variant && stats.variants?.[variant]) stats.variants[variant].replied++;
+  });
+}
+
+/* ------------------------ Follow-up sequences (persisted) ---------------- */
+const sequences = createSequenceEngine({
+  file: path.join(__dirname, 'sequences.json'),
+  // follow-ups go out through the outbox (caps, warm-up), threaded on step 1
+  sendEmail: async (to, subject, text, { headers, step, window = null, tz = null } = {}) => {
+    outbox.add({ to, subject, text, headers, meta: { followUp: true, step }, window, tz, sendAt: sendTime(window, tz).at });
+    return { id: null, queued: true }; // the next step's delay starts when onSent reports it
+  },
+  canSend: (email) => !suppression.has(email),
+  // contacts enrolled before the shared renderer stored area/demoSite instead of city/yourSite
+  render: (ctx, subject, body) => renderEmail({ city: ctx.area, yourSite: ctx.demoSite, ...ctx }, subject, body),
+  log: (m) => console.log('[sequences]', m),
+});
+await sequences.load();
+
+/* ------------------------------ Job history ---------------------------- */
+const jobStore = createJobStore(path.join(__dirname, 'jobs'));
+await jobStore.init();
+for (const rec of await jobStore.markInterrupted()) {
+  console.warn(`[jobs] ${rec.id} was interrupted by a restart${rec.resumable ? ' (resumable)' : ''}`);
+}
+
 /* --------------------------------- State -------------------------------- */
-const jobs = new Map(); // jobId -> { log, done, file, stats, cancelled, _senders:Set, _hb }
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-const pushLog = (job, message) => {
+const jobs = new Map(); // jobId -> { id, log, done, file, stats, cancelled, params, _senders:Set, _hb }
+const pushLog = (job, message, { persist = true } = {}) => {
   const line = { ts: Date.now(), message: String(message) };
   job.log.push(line);
+  if (persist) { jobStore.appendLog(job.id, line); jobStore.save(job.id, job); }
   if (job._senders) for (const fn of job._senders) { fn('log', line); fn('stats', job.stats); }
 };
+const heartbeat = (job) => setInterval(() => pushLog(job, '⏳ still working…', { persist: false }), 10000);
 
-/* ----------------------- Concurrency pool (parallelize) ------------------ */
-const CONCURRENCY = Number(process.env.LEAD_CONCURRENCY || 6);
-async function runPool(tasks, limit = CONCURRENCY) {
-  const q = tasks.slice();
-  const workers = Array.from({ length: Math.min(limit, q.length || 0) }, async () => {
-    while (q.length) { const t = q.shift(); try { await t(); } catch {} }
-  });
-  await Promise.all(workers);
+function createJob(extra = {}) {
+  const jobId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const job = {
+    id: jobId,
+    kind: 'run',
+    params: {},
+    log: [],
+    done: false,
+    cancelled: false,
+    file: null,
+    startedAt: Date.now(),
+    stats: { found: 0, withEmail: 0, sent: 0, wouldSend: 0, queued: 0, outbox: 0, skipped: 0 },
+    ...extra,
+  };
+  jobs.set(jobId, job);
+  jobStore.save(jobId, job);
+  return { jobId, job };
 }
 
-/* -------------------------- City fanout + queries ------------------------ */
-function expandCity(city) {
-  const c = String(city || '').trim();
-  if (!c) return [];
-  const L = c.toLowerCase();
-
-  const states = {
-    'pennsylvania': ['Philadelphia','Pittsburgh','Allentown','Erie','Reading','Scranton','Harrisburg','Lancaster','Bethlehem','York','State College','Wilkes-Barre'],
-    'texas': ['Houston','San Antonio','Dallas','Austin','Fort Worth','El Paso','Arlington','Plano','Corpus Christi','Lubbock'],
-    'florida': ['Miami','Orlando','Tampa','Jacksonville','St. Petersburg','Hialeah','Fort Lauderdale','Tallahassee','Sarasota','Boca Raton'],
-    'california': ['Los Angeles','San Diego','San Jose','San Francisco','Sacramento','Fresno','Long Beach','Oakland','Bakersfield','Riverside'],
-    'new york': ['New York','Buffalo','Rochester','Yonkers','Syracuse','Albany','White Plains'],
-    'illinois': ['Chicago','Aurora','Naperville','Joliet','Elgin','Waukegan'],
-  };
-  for (const k of Object.keys(states)) if (L === k) return states[k];
-
-  const metros = {
-    'new york city': ['New York','Manhattan','Brooklyn','Queens','Bronx','Staten Island','Long Island','Jersey City','Hoboken','Newark'],
-    'los angeles': ['Los Angeles','Santa Monica','Beverly Hills','Pasadena','Burbank','Glendale','Long Beach'],
-    'chicago': ['Chicago','Evanston','Oak Park','Skokie','Cicero'],
-    'miami': ['Miami','Miami Beach','Coral Gables','Hialeah','Doral','North Miami'],
-    'dallas': ['Dallas','Plano','Richardson','Irving','Arlington','Garland'],
-    'houston': ['Houston','Sugar Land','Pearland','Pasadena TX','Spring','The Woodlands'],
-    'san francisco': ['San Francisco','Oakland','Berkeley','Daly City','San Mateo','San Jose'],
-    'seattle': ['Seattle','Bellevue','Redmond','Kirkland','Renton'],
-    'boston': ['Boston','Cambridge','Somerville','Brookline','Quincy'],
-    'atlanta': ['Atlanta','Sandy Springs','Decatur','Marietta','Smyrna'],
-  };
-  for (const k of Object.keys(metros)) if (L === k) return metros[k];
+function finishJob(job, doneReason = 'completed') {
+  clearInterval(job._hb);
+  job.done = true;
+  job.doneReason = job.cancelled ? 'cancelled' : doneReason;
+  job.endedAt = Date.now();
+  if (!job.cancelled) job.checkpoint = null; // ran to the end: nothing left to pick up
+  job.resumable = !!job.checkpoint;
+  pushLog(job, '🏁 Job complete');
+  jobStore.flush(job.id, job);
+  if (job._senders) for (const fn of job._senders) fn('done', { file: job.file, stats: job.stats, doneReason: job.doneReason });
+}
+
+function failJob(job, e) {
+  clearInterval(job._hb);
+  pushLog(job, '💥 Job error: ' + String(e));
+  job.done = true;
+  job.doneReason = 'error';
+  job.endedAt = Date.now();
+  job.resumable = !!job.checkpoint;
+  jobStore.flush(job.id, job);
+  if (job._senders) for (const fn of job._senders) fn('done', { file: job.file, stats: job.stats, doneReason: job.doneReason });
+}
 
-  return [ c, `North ${c}`, `South ${c}`, `East ${c}`, `West ${c}`, `${c} Downtown`, `${c} Suburbs` ];
+async function writeResultsCsv(job, jobId, rows) {
+  try {
+    const outPath = path.join(__dirname, `results-${jobId}.csv`);
+    const writer = createObjectCsvWriter({
+      path: outPath,
+      header: [
+        { id: 'email',   title: 'Email' },
+        { id: 'company', title: 'Company' },
+        { id: 'placeId', title: 'Place ID' },
+        { id: 'city',    title: 'City/Area' },
+        { id: 'website', title: 'Website' },
+        { id: 'contactName', title: 'Contact' },
+        { id: 'contactRole', title: 'Contact Role' },
+        { id: 'emailScore',  title: 'Email Score' },
+        { id: 'emailMethod', title: 'Email Method' },
+        { id: 'emailSource', title: 'Email Source' },
+        { id: 'allEmails',   title: 'All Emails' },
+        { id: 'emailVerdict', title: 'Email Verdict' },
+        { id: 'emailCheck',   title: 'Email Check' },
+        { id: 'phones',  title: 'Phones' },
+        { id: 'socials', title: 'Socials' },
+        { id: 'hours',   title: 'Hours' },
+        { id: 'booking', title: 'Online Booking' },
+        { id: 'chat',    title: 'Chat Widget' },
+        { id: 'cms',     title: 'CMS' },
+        { id: 'rating',  title: 'Rating' },
+        { id: 'reviewCount',    title: 'Reviews' },
+        { id: 'listingPhone',   title: 'Google Phone' },
+        { id: 'businessStatus', title: 'Business Status' },
+        { id: 'types',   title: 'Types' },
+        { id: 'placeHours', title: 'Google Hours' },
+        { id: 'mapsUrl', title: 'Maps URL' },
+        { id: 'status',  title: 'Status' },
+        { id: 'sendAt',  title: 'Send At' },
+        { id: 'rule',    title: 'Excluded By' },
+        { id: 'variant', title: 'Variant' },
+        { id: 'subject', title: 'Subject' },
+        { id: 'body',    title: 'Body' },
+      ],
+    });
+    await writer.writeRecords(rows);
+    job.file = `/download/${path.basename(outPath)}`;
+  } catch (e) {
+    pushLog(job, `💾 CSV write failed: ${String(e?.message || e)}`);
+  }
 }
+
+/* ---------------------- Outbound queue (persisted) ---------------------- */
+const RUN_CANCELLED = 'Run cancelled';
+
+// When an email may go out: now, or the next opening of its send window in the recipient's zone
+function sendTime(window, tz) {
+  const at = (window && nextOpening(window, tz)) || Date.now();
+  return { at, label: at > Date.now() ? describeLocal(at, tz) : '' };
+}
+
+// Every campaign email is mailed from here: send windows, global caps, warm-up and jitter (src/outbox.js).
+// meta.jobId is the job whose counters track the send; replies are credited to meta.replyJobId when set
+// (approved review items belong to the run that found them).
+const outbox = createOutbox({
+  file: path.join(__dirname, 'outbox.json'),
+  send: (it) => deliver(it.to, it.subject, it.text, {
+    headers: it.headers,
+    meta: it.meta.jobId ? { jobId: it.meta.replyJobId || it.meta.jobId, variant: it.meta.variant } : undefined,
+  }),
+  // a follow-up waiting for its window is moot once the contact replied, bounced or was taken out
+  canSend: (it) => (suppression.has(it.to) ? 'Suppressed'
+    : it.meta.followUp && sequences.hasExited(it.to) ? 'Left the sequence'
+    : true),
+  onSent: (it, r) => {
+    const { jobId, variant, sequenceId, ctx, reviewId, followUp, step } = it.meta;
+    if (followUp) sequences.sent(it.to, { step, at: it.sentAt, id: r?.id || null });
+    if (sequenceId) sequences.enroll(it.to, sequenceId, { ctx, messageId: r?.id, subject: it.subject, window: it.window, tz: it.tz });
+    if (reviewId) review.setStatus(reviewId, 'sent', { sentAt: it.sentAt });
+    updateJobStats(jobId, (stats) => {
+      stats.outbox = Math.max(0, (stats.outbox || 0) - 1);
+      stats.sent++;
+      if (variant && stats.variants?.[variant]) stats.variants[variant].sent++;
+    }).catch(() => {});
+    const live = jobs.get(jobId);
+    if (live) pushLog(live, `✅ Sent to ${it.to} (${it.meta.company || 'Unknown'})`);
+    console.log(`[outbox] ✅ Sent to ${it.to}${it.window ? ` (${describeLocal(it.sentAt, windowTimeZone(it.window, it.tz))})` : ''}`);
+  },
+  // never sent: let a later run try the address (and listing) again, unless it was already known before this item
+  // (ignorePrevious runs, fallback passes, follow-ups)
+  onDropped: (it) => {
+    const { jobId, reviewId, followUp, addedToSent, addedPlace } = it.meta;
+    if (addedToSent) { SENT.delete(it.to.toLowerCase()); queueSaveSent(); }
+    if (addedPlace) forgetPlace(addedPlace);
+    if (reviewId) review.setStatus(reviewId, 'send_failed', { error: it.error });
+    if (followUp) sequences.exit(it.to, 'stopped');
+    updateJobStats(jobId, (stats) => {
+      stats.outbox = Math.max(0, (stats.outbox || 0) - 1);
+      stats.skipped++;
+    }).catch(() => {});
+    const live = jobs.get(jobId);
+    if (live && it.error !== RUN_CANCELLED) pushLog(live, `❌ Not sent to ${it.to}: ${it.error || it.status}`.slice(0, 200)); // /api/cancel logs one line
+    console.log(`[outbox] 🗑️ Dropped ${it.to}: ${it.error || it.status}`);
+  },
+  log: (m) => console.log('[outbox]', m),
+});
+await outbox.load();
+outbox.start(Number(process.env.OUTBOX_TICK_MS || 60000));
+sequences.start(Number(process.env.SEQUENCE_TICK_MS || 60000)); // follow-ups are queued in the outbox
+inbound.start(Number(process.env.INBOUND_POLL_MS || 300000)); // credits replies to runs: needs the job store
+
+/* ------------------- Concurrency (leads in flight per page) ----------------- */
+const CONCURRENCY = Number(process.env.LEAD_CONCURRENCY || 6);
+
+/* -------------------------- City fanout + queries ------------------------ */
 function cityQueries(niche, city) {
   return [ `${niche} in ${city}`, `${niche} near ${city}`, `${city} ${niche}` ];
 }
@@ -222,236 +569,816 @@ app.get('/api/defaults', (_req, res) => {
 app.get('/api/places-test', async (req, res) => {
   try {
     const { city = 'Austin', niche = 'orthodontist' } = req.query;
-    const { items } = await fetchBusinessesPage({ query: `${niche} in ${city}`, pageSize: 10 });
-    res.json({ ok: true, count: items.length, sample: items.slice(0, 5) });
+    const limit = Math.min(20, Math.max(1, Number(req.query.limit) || 5));
+    const { items } = await fetchBusinessesPage({ query: `${niche} in ${city}`, pageSize: Math.max(10, limit) });
+    res.json({ ok: true, count: items.length, sample: items.slice(0, limit) });
   } catch (e) {
     res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
+// Lead sources a run can use (and the files the file source can read)
+app.get('/api/sources', async (_req, res) => {
+  res.json({ ok: true, default: LEAD_SOURCE, sources: listSources(), files: await listLeadFiles() });
+});
+
+// Everything enrichment finds on one site, for auditing odd picks
+app.get('/api/enrich-test', async (req, res) => {
+  const site = String(req.query.site || '').trim();
+  if (!site) return res.status(400).json({ ok: false, error: 'Set ?site=example.com' });
+  try { res.json({ ok: true, ...(await findEmailCandidates(site)) }); }
+  catch (e) { res.status(500).json({ ok: false, error: String(e.message || e) }); }
+});
+
+// What the Cities box turns into before a run (same expansion startRun uses)
+app.get('/api/geo/expand', (req, res) => {
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || Number(process.env.GEO_MAX_AREAS || 20)));
+  const inputs = splitAreas(req.query.q);
+  if (!inputs.length) return res.status(400).json({ ok: false, error: 'Set ?q=Texas, Austin, 78701 +10km' });
+  const expansions = inputs.map(input => expandArea(input, { limit }));
+  res.json({ ok: true, expansions, areas: expandAreas(inputs, { limit }) });
+});
+
 /* ---------------------------- Helper: sender ----------------------------- */
+const BRAND = process.env.SENDER_BRAND || 'Agentlyne';
+
+// Everything a template can reference for one lead (see TEMPLATE_FIELDS in src/render.js)
+function leadContext({ lead = {}, contact = {}, profile = {}, area, niche, query, demoSite, email }) {
+  return {
+    company: lead.name || '', business: lead.name || '', brand: BRAND,
+    firstName: contact?.firstName || '', lastName: contact?.lastName || '', contactName: contact?.name || '', role: contact?.role || '',
+    city: area || lead.city || '', area: area || '', state: lead.state || '', address: lead.address || '',
+    website: lead.website || '', email: email || '', phone: lead.phone || profile?.phones?.[0] || '',
+    niche: niche || '', query: query || '', yourSite: demoSite || '',
+  };
+}
+
+// Spintax is seeded with the recipient so re-renders (review, retries) stay identical
+function renderEmail(ctx, subject, body) {
+  const full = { ...ctx, unsubscribeUrl: ctx.email ? unsubscribeUrl(ctx.email) : '' };
+  return {
+    subject: renderTemplate(subject || 'Quick idea for {company}', full, { seed: ctx.email }),
+    text:    renderTemplate(body || 'Hey {firstName}, quick idea for {company} in {city}. Free demo: {yourSite}', full, { seed: ctx.email }),
+  };
+}
+
+// CSV columns describing where the address came from (and what else we found)
+function emailAudit(email, candidates = []) {
+  const hit = candidates.find(c => c.email === String(email).toLowerCase());
+  return {
+    emailScore: hit?.score ?? '', emailMethod: hit?.method || '', emailSource: hit?.source || '',
+    allEmails: candidates.map(c => `${c.email} (${c.score}, ${c.method}, ${c.domainMatch})`).join('; '),
+  };
+}
+
+// What the crawl learned about the business; "none" is the qualifier (no chat = needs a receptionist).
+// Blank when there was no crawl (imported rows that came with an email).
+function profileColumns(profile) {
+  if (!profile) return {};
+  const list = (xs) => (xs?.length ? xs.join(', ') : 'none');
+  return {
+    phones: (profile.phones || []).join(' '), socials: (profile.socials || []).join(' '), hours: profile.hours || '',
+    booking: list(profile.tech?.booking), chat: list(profile.tech?.chat), cms: list(profile.tech?.cms),
+  };
+}
+
+// Places listing fields (most only with the extended field mask)
+function listingColumns(lead = {}) {
+  return {
+    placeId: lead.placeId || '', rating: lead.rating ?? '', reviewCount: lead.reviewCount ?? '', listingPhone: lead.phone || '',
+    businessStatus: lead.businessStatus || '', types: (lead.types || []).join(', '), placeHours: lead.hours || '', mapsUrl: lead.mapsUrl || '',
+  };
+}
+
 async function trySend(job, rows, {
-  company, area, website, demoSite, subject, body, email
+  lead, contact, candidates, profile, verification, area, niche, query, demoSite, variant, email, dryRun, reviewFirst, jobId, sequenceId, sendWindow
 }) {
-  const ctx = { company: company || 'your business', city: area, firstName: 'there', website: website || '', yourSite: demoSite || '' };
-  const render = (tpl) => String(tpl || '').replace(/\{(\w+)\}/g, (_, k) => ctx[k] ?? '');
-  const subj = render(subject || 'Quick idea for {company}');
-  const txt  = render(body || 'Hey {firstName}, quick idea for {company} in {city}. Free demo: {yourSite}');
+  const ctx = leadContext({ lead, contact, profile, area, niche, query, demoSite, email });
+  const { company, website } = ctx;
+  const { subject: subj, text: txt } = renderEmail(ctx, variant.subject, variant.body);
+  const vstats = job.stats.variants?.[variant.key];
+  const audit = {
+    ...emailAudit(email, candidates), emailVerdict: verification?.verdict || '', emailCheck: verification?.reason || '',
+    ...profileColumns(profile), ...listingColumns(lead),
+  };
+  const row = { email, company, city: area, website, contactName: ctx.contactName, contactRole: ctx.role, ...audit, variant: variant.name, subject: subj, body: txt };
+
+  // Send window: outside the recipient's local hours the email waits in the outbox
+  const tz = sendWindow ? windowTimeZone(sendWindow, timeZoneFor({ ...lead, area })) : null;
+  const { at: opens, label: sendAt } = sendTime(sendWindow, tz);
+
+  // Review mode: park the rendered email until someone approves it (the window applies when it goes out)
+  if (reviewFirst) {
+    review.add({ jobId, sequenceId, variant: variant.key, demoSite, company, area: area || '', website, email, subject: subj, body: txt, ctx, audit, sendWindow, tz });
+    job.stats.queued++;
+    if (vstats) vstats.queued++;
+    rows.push({ ...row, status: 'queued' });
+    pushLog(job, `📥 Queued for review: ${email} (${company || 'Unknown'})`);
+    return true;
+  }
 
-  try {
-    await sendEmail(email, subj, txt);
-    job.stats.sent++;
-    rows.push({ email, company, city: area, website, status: 'sent' });
-    pushLog(job, `✅ Sent to ${email} (${company || 'Unknown'})`);
+  // Dry run: everything up to the send, nothing leaves the box
+  if (dryRun) {
+    job.stats.wouldSend++;
+    if (vstats) vstats.wouldSend++;
+    rows.push({ ...row, status: 'would_send', sendAt });
+    pushLog(job, `👀 Would send to ${email} (${company || 'Unknown'})${sendAt ? ` at ${sendAt}` : ''} — "${subj}"`.slice(0, 200));
     return true;
-  } catch (e) {
-    job.stats.skipped++;
-    rows.push({ email, company, city: area, website, status: 'send_failed' });
-    pushLog(job, `❌ Send failed to ${email}: ${String(e?.message || e)}`.slice(0, 200));
-    return false;
   }
+
+  // Real send: the outbox mails it (now, or when the window opens) within the global caps.
+  // The record stage adds the address to SENT and the listing to the contacted places;
+  // addedToSent/addedPlace say a drop may take them out again.
+  const addedToSent = !SENT.has(email.toLowerCase());
+  const addedPlace = lead.placeId && !CONTACTED_PLACES.has(lead.placeId) ? lead.placeId : null;
+  outbox.add({ to: email, subject: subj, text: txt, meta: { jobId, variant: variant.key, sequenceId, ctx, company, addedToSent, addedPlace }, window: sendWindow, tz, sendAt: opens });
+  job.stats.outbox = (job.stats.outbox || 0) + 1;
+  rows.push({ ...row, status: sendAt ? 'deferred' : 'outbox', sendAt });
+  pushLog(job, sendAt ? `🕗 Deferred ${email} (${company || 'Unknown'}) until ${sendAt}` : `📤 Queued to send: ${email} (${company || 'Unknown'})`);
+  return true;
 }
 
 /* -------------------------- Main run: /api/run --------------------------- */
-app.post('/api/run', async (req, res) => {
-  const { niche, cities, cap, subject, body, yourSite, website, site, ignorePrevious } = req.body || {};
-  if (!niche) return res.status(400).json({ error: 'Missing niche' });
+// Contact for a lead that came with an email (CSV import), shaped like enrichment's
+function listedContact(b) {
+  const email = String(b.email || '').trim();
+  if (!email) return null;
+  const name = b.contactName || [b.firstName, b.lastName].filter(Boolean).join(' ');
+  return {
+    email, emailSource: 'import', name,
+    firstName: b.firstName || name.split(/\s+/)[0] || '', lastName: b.lastName || name.split(/\s+/).slice(1).join(' '),
+    role: '', source: 'import',
+  };
+}
 
-  const demoSite = String(yourSite || website || site || process.env.DEMO_SITE || '').trim();
-  const cityList = String(cities || '').split(',').map(s => s.trim()).filter(Boolean);
+// Validate a run request into the params we persist with the job (and resume from)
+function runParamsFromBody(input = {}, { list = false } = {}) {
+  const { niche, cities, cap, yourSite, website, site, ignorePrevious, dryRun, reviewFirst, sequenceId, templateIds, placesExtended } = input;
+  let { subject, body } = input;
+  if (!niche && !list) return { error: 'Missing niche' }; // an imported list needs none
+
+  // A sequence supplies step 1; its follow-ups are sent later by the scheduler
+  const seq = sequenceId ? sequences.get(String(sequenceId)) : null;
+  if (sequenceId && !seq) return { error: 'Unknown sequence' };
+  if (seq) { subject = seq.steps[0].subject || subject; body = seq.steps[0].body; }
+
+  // A/B: leads are dealt round-robin across the chosen templates (copied, so later edits don't change the run)
+  const ids = [].concat(templateIds || []).map(String).filter(Boolean);
+  let variants = [{ key: 'custom', name: 'Custom', subject, body }];
+  if (seq) variants = [{ key: seq.id, name: seq.name, subject, body }];
+  else if (ids.length) {
+    const picked = ids.map(id => templates.get(id));
+    if (picked.some(t => !t)) return { error: 'Unknown template' };
+    variants = picked.map(t => ({ key: t.id, name: t.name, subject: t.subject, body: t.body }));
+  }
+
+  // Catch typos like {frstName} now rather than mailing them to a few hundred people
+  for (const v of variants) {
+    const errors = [...validateTemplate(v.subject), ...validateTemplate(v.body)];
+    if (errors.length) return { error: `Template "${v.name}": ${errors.join('; ')}` };
+  }
 
-  const maxSend    = Number(process.env.DEFAULT_SEND_CAP || 200);
-  const requested  = Number(cap || maxSend);
-  const targetCap  = Math.min(requested, maxSend);
+  let qualify, grid, source, sendWindow;
+  try {
+    qualify = cleanRules(input.qualify); grid = cleanGrid(input.grid); source = cleanSource(input.source);
+    sendWindow = cleanSendWindow(input.sendWindow);
+  }
+  catch (e) { return { error: e.message }; }
+  if (grid && !getSource(source.type).grid) return { error: `${getSource(source.type).label} can't do grid search` };
+
+  const maxSend   = Number(process.env.DEFAULT_SEND_CAP || 200);
+  const requested = Number(cap || maxSend);
+
+  return {
+    niche,
+    cities: Array.isArray(cities) ? cities.map(String).filter(Boolean) : splitAreas(cities),
+    areas: Array.isArray(input.areas) && input.areas.length ? input.areas.map(String) : null, // searched as-is (schedule rotation)
+    cap: Math.min(requested, maxSend),
+    subject,
+    body,
+    demoSite: String(yourSite || website || site || process.env.DEMO_SITE || '').trim(),
+    ignorePrevious: !!ignorePrevious,
+    dryRun: !!dryRun,
+    reviewFirst: !dryRun && !!reviewFirst,
+    sequenceId: seq?.id || null,
+    variants,
+    qualify,
+    grid,
+    source,
+    placesExtended: !!placesExtended,
+    sendWindow,
+  };
+}
 
-  const throttleMs  = Number(process.env.SEND_THROTTLE_MS || 1500);
-  const IGNORE_PREV = !!ignorePrevious;
+/**
+ * Search → enrich → send for one job, on the shared pipeline (src/runner.js).
+ * With `resume` it skips every area/query before the checkpoint, restarts at
+ * the checkpointed page and reuses the inspected sites/emails and CSV rows saved so far.
+ */
+function startRun(job, params, resume = null) {
+  const jobId = job.id;
+  const { niche, cities: cityList, cap: targetCap, subject, body, demoSite, sequenceId } = params;
+  const variants = params.variants || [{ key: 'custom', name: 'Custom', subject, body }];
+  let dealt = 0;
+  const nextVariant = () => variants[dealt++ % variants.length];
+  job.stats.variants ||= Object.fromEntries(variants.map(v => [v.key, { name: v.name, sent: 0, wouldSend: 0, queued: 0, replied: 0 }]));
+
+  const IGNORE_PREV = params.ignorePrevious;
+  const DRY_RUN     = params.dryRun;
+  const REVIEW      = params.reviewFirst;
+  const HOLD        = DRY_RUN || REVIEW; // nothing is mailed during the run itself
   const RESEND_ON_SHORTFALL = String(process.env.RESEND_ON_SHORTFALL || '').match(/^(1|true|yes)$/i);
 
-  const jobId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-  const job = {
-    log: [],
-    done: false,
-    cancelled: false,
-    file: null,
-    stats: { found: 0, withEmail: 0, sent: 0, skipped: 0 },
-  };
-  jobs.set(jobId, job);
+  const rules = params.qualify || null;
+  const placesFields = placesFieldsFor(rules);
+  const placesExtended = params.placesExtended || undefined; // undefined = PLACES_EXTENDED env default
+
+  // Where leads come from; everything after fetchPage is the same for every source
+  const source = sourceFor(params.source || { type: 'places' }, { niche, fields: placesFields, extended: placesExtended });
+  const queriesFor = (area) => source.textSearch ? cityQueries(niche, area)
+    : source.areas ? [`${niche} in ${area}`]
+    : [params.source.file];
+
+  // Previews, review-queued and outbox leads count toward the cap exactly like real sends would
+  const booked = () => job.stats.sent + job.stats.wouldSend + job.stats.queued + (job.stats.outbox || 0);
+  const capReached = () => booked() >= targetCap;
+
+  job._abort = new AbortController(); // /api/cancel
+  const { signal } = job._abort;
 
   (async () => {
-    const rows = [];
-    const seenInRunEmails = new Set(); // per-run email dedupe
-    const seenInRunSites  = new Set(); // per-run website dedupe
+    const saved = resume?.state || {};
+    const rows = saved.rows || [];
+    const seenInRunEmails = new Set(saved.seenEmails || []); // per-run email dedupe
+    const seenInRunSites  = new Set(saved.seenSites || []);  // per-run website dedupe
+    const seenInRunPlaces = new Set(saved.seenPlaces || []); // same listing returned by several queries/areas
+
+    // Leads the run's qualification rules turned away still go in the CSV, with the rule
+    const disqualify = (b, area, miss, extra = {}) => {
+      job.stats.skipped++;
+      rows.push({ company: b.name, city: area, website: b.website, ...listingColumns(b), ...extra, status: 'disqualified', rule: `${miss.rule}: ${miss.detail}` });
+      pushLog(job, `🚷 Not qualified: ${b.name || 'Unknown'} (${miss.detail})`);
+    };
+    const skip = (lead, message) => {
+      if (lead.pass === 'fallback') return false; // the fallback re-walks listings the primary pass already counted
+      job.stats.skipped++;
+      if (message) pushLog(job, message);
+      return false;
+    };
 
     const rawCities = cityList.length ? cityList : ['United States'];
-    const areas = rawCities.flatMap(expandCity);
-
-    job._hb = setInterval(() => pushLog(job, '⏳ still working…'), 10000);
-
-    // Primary pass (new contacts)
-    for (const area of areas) {
-      if (job.cancelled || job.stats.sent >= targetCap) break;
-
-      for (const query of cityQueries(niche, area)) {
-        if (job.cancelled || job.stats.sent >= targetCap) break;
-
-        pushLog(job, `🔎 Searching: "${query}"`);
-        let cursor = null, pageNo = 0;
-
-        while (!job.cancelled && job.stats.sent < targetCap) {
-          let items = [];
-          try {
-            const page = await fetchBusinessesPage({ query, cursor, pageSize: 20 });
-            items  = page.items || [];
-            cursor = page.nextCursor || null;
-            pageNo++;
-          } catch (e) {
-            pushLog(job, `💥 Places error: ${String(e)}`);
-            break;
-          }
-
-          if (!items.length) {
-            pushLog(job, pageNo === 1 ? '📭 No results.' : `📭 No more results (pages=${pageNo-1})`);
-            break;
-          }
-          pushLog(job, `📍 Page ${pageNo}: ${items.length} businesses.`);
-
-          await runPool(items.map(b => async () => {
-            if (job.cancelled || job.stats.sent >= targetCap) return;
-
-            job.stats.found++;
-
-            const siteKey = (b.website || '').toLowerCase();
-            if (!b.website || seenInRunSites.has(siteKey)) {
-              job.stats.skipped++;
-              if (!b.website) pushLog(job, `❎ No website for ${b.name || 'Unknown'}`);
-              return;
-            }
-            seenInRunSites.add(siteKey);
-
-            let email = null;
-            try { email = await findEmailOnSite(b.website); } catch {}
-            if (!email) {
-              job.stats.skipped++;
-              pushLog(job, `❎ No email for ${b.name || 'Unknown'}`);
-              return;
-            }
-
-            const ekey = email.toLowerCase();
-            if (!IGNORE_PREV && (SENT.has(ekey) || seenInRunEmails.has(ekey))) { job.stats.skipped++; return; }
-            if (IGNORE_PREV && seenInRunEmails.has(ekey)) { job.stats.skipped++; return; }
-
-            seenInRunEmails.add(ekey);
-            job.stats.withEmail++;
-
-            const sentOk = await trySend(job, rows, {
-              company: b.name, area, website: b.website, demoSite, subject, body, email
-            });
-            if (sentOk) { SENT.add(ekey); queueSaveSent(); }
-
-            if (throttleMs > 0) await sleep(throttleMs);
-          }), CONCURRENCY);
-
-          if (!cursor) break;
+    const areas = saved.areas || (!source.areas ? [''] : params.areas || expandAreas(rawCities)); // a file is one list, no areas
+    const searches = areas.flatMap((area, areaIndex) => queriesFor(area).map((query, queryIndex) => ({ areaIndex, queryIndex, area, query })));
+
+    let gridQueue = saved.gridQueue || null; // tiles still to search (grid runs)
+
+    const snapshotState = () => ({ areas, gridQueue, seenSites: [...seenInRunSites], seenPlaces: [...seenInRunPlaces], seenEmails: [...seenInRunEmails], rows });
+    const checkpoint = (cp) => { job.checkpoint = cp; jobStore.save(jobId, job); jobStore.saveState(jobId, snapshotState); };
+
+    job._hb = heartbeat(job);
+    if (resume) pushLog(job, `⏯️ Resuming at "${resume.checkpoint.query}" (page ${resume.checkpoint.page + 1}, ${seenInRunSites.size} sites already inspected)`);
+    if (source.id !== 'places') pushLog(job, `📚 Lead source: ${source.label}${params.source.file ? ` (${params.source.file})` : ''}`);
+    if (DRY_RUN) pushLog(job, '👀 Dry run: leads will be found and rendered, nothing will be sent');
+    if (REVIEW)  pushLog(job, '📥 Review mode: leads will be parked in the review queue, nothing will be sent');
+    if (params.sendWindow) pushLog(job, `🕗 Send window: ${describeWindow(params.sendWindow)} in each recipient's local time`);
+
+    /* ---- source: text searches per area, or grid tiles ---- */
+    // Page limits guard the Places bill; a file or a local Overpass costs nothing to page through
+    const pageLimits = source.id === 'places' ? {} : { maxPagesPerQuery: Infinity, maxTotalPages: Infinity, perPageDelayMs: 0 };
+    const textPages = (pass) => () => leadStream({
+      ...pageLimits,
+      pass,
+      searches,
+      fetchPage: (o) => source.fetchPage(o),
+      resume: resume?.checkpoint?.pass === pass ? resume.checkpoint : null,
+      signal,
+      checkpoint,
+      on: {
+        search: (s) => { if (pass === 'primary') pushLog(job, `🔎 Searching: "${s.query}"`); },
+        empty: (_s, pages) => { if (pass === 'primary') pushLog(job, pages ? `📭 No more results (pages=${pages})` : '📭 No results.'); },
+        error: (e) => pushLog(job, `💥 Places error: ${String(e)}`),
+        limit: (n) => pushLog(job, `🧯 Stopped paging after ${n} pages (SEARCH_TOTAL_PAGES)`),
+      },
+    });
+
+    // Grid runs search the niche tile by tile; a resumed run restarts the tile it was on
+    async function* gridPages() {
+      const query = niche;
+      pushLog(job, `🗺️ Grid search: "${query}" in ${tileLabel(params.grid.bounds)} (${params.grid.cellKm} km cells)`);
+      const pages = gridSearch({
+        query,
+        grid: params.grid,
+        queue: gridQueue,
+        fetchPage: (o) => source.fetchPage({ ...o, signal }),
+        onSplit: (t, got) => pushLog(job, `🔬 Tile ${tileLabel(t)} returned ${got}; splitting into 4`),
+        onError: (e, t, page) => {
+          if (signal.aborted) throw e;
+          pushLog(job, `💥 Places error on tile ${tileLabel(t)} page ${page}, moving on: ${String(e)}`.slice(0, 200));
+        },
+      });
+      try {
+        for await (const { items, tile, page, queue } of pages) {
+          gridQueue = queue;
+          checkpoint({ pass: 'grid', query, tile, page, tilesLeft: queue.length });
+          if (items.length) pushLog(job, `📍 Tile ${tileLabel(tile)} page ${page}: ${items.length} new businesses.`);
+          yield { items, query, page };
         }
+      } catch (e) {
+        if (!signal.aborted) pushLog(job, `💥 Places error: ${String(e)}`);
       }
     }
 
-    // Fallback (optional): allow previously-contacted to reach cap
-    if (!job.cancelled && job.stats.sent < targetCap && RESEND_ON_SHORTFALL) {
-      pushLog(job, `↩️ Shortfall fallback: allowing previously contacted to reach cap (${job.stats.sent}/${targetCap})`);
-      for (const area of areas) {
-        if (job.cancelled || job.stats.sent >= targetCap) break;
-        for (const query of cityQueries(niche, area)) {
-          if (job.cancelled || job.stats.sent >= targetCap) break;
-          let cursor = null, pageNo = 0;
-          while (!job.cancelled && job.stats.sent < targetCap) {
-            let items = [];
-            try {
-              const page = await fetchBusinessesPage({ query, cursor, pageSize: 20 });
-              items  = page.items || [];
-              cursor = page.nextCursor || null;
-              pageNo++;
-            } catch { break; }
-            if (!items.length) break;
-
-            await runPool(items.map(b => async () => {
-              if (job.cancelled || job.stats.sent >= targetCap) return;
-              if (!b.website) return;
-
-              let email = null;
-              try { email = await findEmailOnSite(b.website); } catch {}
-              if (!email) return;
-
-              const ekey = email.toLowerCase();
-              if (seenInRunEmails.has(ekey)) return;
-              seenInRunEmails.add(ekey);
-              job.stats.withEmail++;
-
-              await trySend(job, rows, {
-                company: b.name, area, website: b.website, demoSite, subject, body, email
-              });
-
-              if (throttleMs > 0) await sleep(throttleMs);
-            }), CONCURRENCY);
-
-            if (!cursor) break;
-          }
+    const passes = params.grid
+      ? [{ name: 'grid', pages: gridPages }]
+      : [
+        { name: 'primary', pages: textPages('primary') },
+        // Optional: allow previously-contacted to reach cap
+        { name: 'fallback', when: () => !!RESEND_ON_SHORTFALL, pages: textPages('fallback') },
+      ];
+
+    /* ---- stages (order: STAGES in src/runner.js) ---- */
+    const stages = {
+      filter(lead) {
+        const b = lead.biz;
+        lead.area ||= b.city || (lead.pass === 'grid' ? 'grid' : ''); // grid tiles and files have no search area
+        lead.listed = listedContact(b); // imported rows may already carry the address: no crawl for those
+
+        if (lead.pass === 'fallback') return !!(lead.listed || b.website) && !checkListing(b, rules);
+        job.stats.found++;
+
+        if (b.placeId) {
+          if (seenInRunPlaces.has(b.placeId)) return skip(lead);
+          seenInRunPlaces.add(b.placeId);
+          if (!IGNORE_PREV && CONTACTED_PLACES.has(b.placeId)) return skip(lead); // mailed by an earlier run
         }
-      }
-    }
+
+        const miss = checkListing(b, rules);
+        if (miss) { disqualify(b, lead.area, miss); return false; }
+
+        const siteKey = (b.website || '').toLowerCase();
+        if (!lead.listed && (!b.website || seenInRunSites.has(siteKey))) {
+          return skip(lead, b.website ? null : `❎ No website for ${b.name || 'Unknown'}`);
+        }
+        if (siteKey) seenInRunSites.add(siteKey);
+      },
+
+      async enrich(lead) {
+        const b = lead.biz;
+        let found = null;
+        if (!lead.listed) try { found = await findEmailCandidates(b.website); } catch {}
+        lead.contact = lead.listed || found?.contact;
+        lead.candidates = found?.emails;
+        lead.profile = found?.profile;
+        lead.email = lead.contact?.email;
+        if (!lead.email) return skip(lead, `❎ No email for ${b.name || 'Unknown'}`);
+
+        const unfit = found && checkProfile(found.profile, rules);
+        if (unfit) {
+          if (lead.pass !== 'fallback') disqualify(b, lead.area, unfit, { email: lead.email, ...profileColumns(found.profile) });
+          return false;
+        }
+      },
+
+      async verify(lead) {
+        const { biz: b, email } = lead;
+        lead.verification = await verifier.verify(email.toLowerCase());
+        if (!undeliverable(lead.verification)) return;
+        if (lead.pass !== 'fallback') {
+          rows.push({
+            email, company: b.name, city: lead.area, website: b.website, ...emailAudit(email, lead.candidates),
+            emailVerdict: lead.verification.verdict, emailCheck: lead.verification.reason, ...profileColumns(lead.profile), ...listingColumns(b),
+            status: 'undeliverable',
+          });
+        }
+        return skip(lead, `🧪 Undeliverable: ${email} (${lead.verification.reason})`);
+      },
+
+      dedupe(lead) {
+        const ekey = lead.email.toLowerCase();
+        const blocked = suppression.match(ekey);
+        if (blocked) return skip(lead, `🚫 Suppressed: ${lead.email} (${blocked.rule})`);
+        if (seenInRunEmails.has(ekey)) return skip(lead);
+        if (!IGNORE_PREV && lead.pass !== 'fallback' && SENT.has(ekey)) return skip(lead);
+        if (REVIEW && review.hasOpen(ekey)) return skip(lead);
+        if (sequences.isActive(ekey)) return skip(lead);
+        if (outbox.hasWaiting(ekey)) return skip(lead);
+        seenInRunEmails.add(ekey);
+        job.stats.withEmail++;
+      },
+
+      async send(lead) {
+        const { biz: b, contact, candidates, profile, verification, area, query, email } = lead;
+        lead.sent = await trySend(job, rows, {
+          lead: b, contact, candidates, profile, verification, area, niche, query, demoSite, variant: nextVariant(), email,
+          dryRun: DRY_RUN, reviewFirst: REVIEW, jobId, sequenceId, sendWindow: params.sendWindow
+        });
+      },
+
+      record(lead) {
+        if (lead.sent && !HOLD) { SENT.add(lead.email.toLowerCase()); queueSaveSent(); rememberPlace(lead.biz.placeId); }
+      },
+    };
+
+    const { doneBecause } = await runJob({
+      passes,
+      stages,
+      resumePass: resume?.checkpoint?.pass || null,
+      signal,
+      isDone: capReached,
+      ...(!source.areas ? { maxInspected: Infinity } : {}), // an import runs its whole list
+      concurrency: CONCURRENCY,
+      on: {
+        pass: (p) => {
+          if (p.name === 'fallback') pushLog(job, `↩️ Shortfall fallback: allowing previously contacted to reach cap (${booked()}/${targetCap})`);
+        },
+        page: (pg, p) => { if (p.name === 'primary') pushLog(job, `📍 Page ${pg.page}: ${pg.items.length} businesses.`); },
+        pageDone: () => jobStore.saveState(jobId, snapshotState),
+        error: (e, lead, stage) => pushLog(job, `💥 ${stage} failed for ${lead.biz.name || 'Unknown'}: ${String(e?.message || e)}`.slice(0, 200)),
+      },
+    });
 
     if (job.cancelled) pushLog(job, '🛑 Stopped by user');
+    if (doneBecause === 'inspect_limit') pushLog(job, '🧯 Stopped after inspecting MAX_INSPECTED listings');
+
+    await jobStore.flushState(jobId, snapshotState());
+    await writeResultsCsv(job, jobId, rows);
+    finishJob(job, capReached() ? 'goal_reached' : 'exhausted_results');
+  })().catch((e) => failJob(job, e)).finally(() => {
+    // an uploaded list (/api/import) is kept only while a resume may still read it
+    if (params.upload && !job.resumable) {
+      removeLeadFile(params.upload).catch(e => console.warn('[import] could not remove', params.upload, e?.message || e));
+    }
+  });
+}
+
+app.post('/api/run', async (req, res) => {
+  const params = runParamsFromBody(req.body || {});
+  if (params.error) return res.status(400).json({ error: params.error });
+
+  const { jobId, job } = createJob({ dryRun: params.dryRun, reviewFirst: params.reviewFirst, params });
+  startRun(job, params);
+  res.json({ jobId });
+});
+
+/* ------------------------- Lead list import (CSV) ------------------------- */
+// CSV text -> raw rows keyed by header; throws with csv-parse's message on bad input
+function parseImport(csv) {
+  const text = String(csv || '');
+  if (!text.trim()) throw new Error('Empty CSV');
+  return parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, bom: true, relax_column_count: true });
+}
+
+// Step 1: headers, a few rows and our guess at the mapping, for the UI to confirm
+app.post('/api/import/preview', (req, res) => {
+  let rows;
+  try { rows = parseImport(req.body?.csv); }
+  catch (e) { return res.status(400).json({ ok:false, error: String(e.message || e) }); }
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  res.json({ ok:true, count: rows.length, headers, sample: rows.slice(0, 5), fields: LEAD_COLUMNS, mapping: suggestMapping(headers) });
+});
+
+// Step 2: { csv, mapping: { name: 'Company', website: 'URL', email: 'E-mail', ... }, ...same fields as /api/run }.
+// The mapped list is saved to the leads folder and run through the file source, so it
+// gets the same dedupe/suppression/verification/send path (and resume) as a search.
+// The file goes once the run is finished with it (dry runs included); a resumable run keeps it.
+app.post('/api/import', async (req, res) => {
+  const input = req.body || {};
+  let raw;
+  try { raw = parseImport(input.csv); }
+  catch (e) { return res.status(400).json({ error: String(e.message || e) }); }
+
+  const mapping = input.mapping && typeof input.mapping === 'object' ? input.mapping : {};
+  const unknown = Object.keys(mapping).filter(f => !LEAD_COLUMNS.includes(f));
+  if (unknown.length) return res.status(400).json({ error: `Unknown field(s): ${unknown.join(', ')}` });
+  if (!mapping.website && !mapping.email) return res.status(400).json({ error: 'Map a website or an email column' });
+
+  const leads = raw
+    .map(r => normalizeRow(Object.fromEntries(Object.entries(mapping).filter(([, col]) => col).map(([f, col]) => [f, r[col]]))))
+    .filter(l => l.website || l.email);
+  if (!leads.length) return res.status(400).json({ error: 'No rows with a website or email' });
+
+  const file = `import-${Date.now()}.json`;
+  const params = runParamsFromBody({ ...input, grid: undefined, source: { type: 'file', file } }, { list: true });
+  if (params.error) return res.status(400).json({ error: params.error });
+  params.upload = file;
+  await saveLeadFile(file, leads);
+
+  const { jobId, job } = createJob({ dryRun: params.dryRun, reviewFirst: params.reviewFirst, params });
+  pushLog(job, `📥 Imported ${leads.length} of ${raw.length} rows (${leads.filter(l => l.email).length} with an email)`);
+  startRun(job, params);
+  res.json({ jobId, imported: leads.length, skipped: raw.length - leads.length });
+});
+
+// Continue a cancelled / crashed run from its last Places checkpoint (same job id, same CSV)
+app.post('/api/jobs/:id/resume', async (req, res) => {
+  const { id } = req.params;
+  const live = jobs.get(id);
+  if (live && !live.done) return res.status(409).json({ ok:false, error:'already_running' });
+
+  const rec = live ? jobSnapshot(id, live) : await jobStore.get(id);
+  if (!rec) return res.status(404).json({ ok:false, error:'not_found' });
+  if (rec.kind !== 'run' || !rec.resumable || !rec.checkpoint) return res.status(409).json({ ok:false, error:'not_resumable' });
+  if (rec.params.sequenceId && !sequences.get(rec.params.sequenceId)) return res.status(409).json({ ok:false, error:'sequence_deleted' });
+
+  const state = await jobStore.getState(id);
+  const job = {
+    id,
+    kind: 'run',
+    params: rec.params,
+    log: live ? live.log : await jobStore.readLog(id),
+    done: false,
+    cancelled: false,
+    file: null,
+    startedAt: rec.startedAt,
+    resumedAt: Date.now(),
+    stats: rec.stats,
+    checkpoint: rec.checkpoint,
+    resumable: false,
+    dryRun: rec.params.dryRun,
+    reviewFirst: rec.params.reviewFirst,
+  };
+  jobs.set(id, job);
+  jobStore.save(id, job);
+  startRun(job, rec.params, { checkpoint: rec.checkpoint, state });
+  res.json({ ok:true, jobId: id });
+});
+
+/* ---------------------- Scheduled campaigns (persisted) ------------------ */
+// A due schedule starts an ordinary run job (same history, SSE stream, resume)
+const schedules = createScheduler({
+  file: path.join(__dirname, 'schedules.json'),
+  validate: (run) => runParamsFromBody(run).error || null,
+  launch: (s, areas) => {
+    const params = runParamsFromBody(areas ? { ...s.run, cities: areas, areas } : s.run);
+    if (params.error) throw new Error(params.error);
+    params.schedule = { id: s.id, name: s.name };
+    const { jobId, job } = createJob({ dryRun: params.dryRun, reviewFirst: params.reviewFirst, params });
+    pushLog(job, `⏰ Scheduled run "${s.name}"${areas ? `: ${areas.join('; ')}` : ''}`);
+    startRun(job, params);
+    return jobId;
+  },
+  isRunning: (jobId) => jobs.has(jobId) && !jobs.get(jobId).done,
+  log: (m) => console.log('[schedules]', m),
+});
+await schedules.load();
+schedules.start(Number(process.env.SCHEDULE_TICK_MS || 30000));
+
+app.get('/api/schedules', (_req, res) => res.json({ ok:true, schedules: schedules.list() }));
+
+// { name, cron: '0 9 * * 1-5' | everyMinutes, tz?, areasPerRun, enabled, run: { ...same fields as /api/run } }
+app.post('/api/schedules', (req, res) => {
+  try { res.json({ ok:true, schedule: schedules.create(req.body || {}) }); }
+  catch (e) { res.status(400).json({ ok:false, error:String(e.message || e) }); }
+});
+
+app.put('/api/schedules/:id', (req, res) => {
+  try {
+    const s = schedules.update(req.params.id, req.body || {});
+    if (!s) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, schedule: s });
+  } catch (e) { res.status(400).json({ ok:false, error:String(e.message || e) }); }
+});
+
+app.delete('/api/schedules/:id', (req, res) => {
+  if (!schedules.remove(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true });
+});
+
+app.post('/api/schedules/:id/run', (req, res) => {
+  try {
+    if (!schedules.get(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+    const jobId = schedules.runNow(req.params.id);
+    if (!jobId) return res.status(400).json({ ok:false, error: schedules.get(req.params.id).lastError || 'start_failed' });
+    res.json({ ok:true, jobId });
+  } catch (e) { res.status(409).json({ ok:false, error:String(e.message || e) }); }
+});
+
+/* ------------------------- Review queue endpoints ------------------------ */
+// Items handed to the outbox can't be edited or decided again
+const reviewLocked = (it) => (it.status === 'sent' ? 'already_sent' : it.status === 'outbox' ? 'in_outbox' : null);
+
+app.get('/api/review', (req, res) => {
+  const status = String(req.query.status || '').trim() || undefined;
+  res.json({ ok:true, counts: review.counts(), items: review.list({ status }) });
+});
+
+app.patch('/api/review/:id', (req, res) => {
+  const it = review.get(req.params.id);
+  if (!it) return res.status(404).json({ ok:false, error:'not_found' });
+  if (reviewLocked(it)) return res.status(409).json({ ok:false, error: reviewLocked(it) });
+  res.json({ ok:true, item: review.update(it.id, req.body || {}) });
+});
+
+app.post('/api/review/:id/approve', (req, res) => {
+  const it = review.get(req.params.id);
+  if (!it) return res.status(404).json({ ok:false, error:'not_found' });
+  if (reviewLocked(it)) return res.status(409).json({ ok:false, error: reviewLocked(it) });
+  if (req.body && Object.keys(req.body).length) review.update(it.id, req.body);
+  review.setStatus(it.id, 'approved');
+  res.json({ ok:true, item: it });
+});
+
+app.post('/api/review/:id/reject', (req, res) => {
+  const it = review.get(req.params.id);
+  if (!it) return res.status(404).json({ ok:false, error:'not_found' });
+  if (reviewLocked(it)) return res.status(409).json({ ok:false, error: reviewLocked(it) });
+  review.setStatus(it.id, 'rejected');
+  res.json({ ok:true, item: it });
+});
+
+// Bulk approve: explicit { ids: [...] } or every pending item
+app.post('/api/review/approve', (req, res) => {
+  const ids = Array.isArray(req.body?.ids)
+    ? req.body.ids.map(String)
+    : review.list({ status: 'pending' }).map(it => it.id);
+  const pending = new Set(review.list({ status: 'pending' }).map(it => it.id));
+  const changed = review.setStatus(ids.filter(id => pending.has(id)), 'approved');
+  res.json({ ok:true, approved: changed.length });
+});
 
-    // Write CSV
-    try {
-      const outPath = path.join(__dirname, `results-${jobId}.csv`);
-      const writer = createObjectCsvWriter({
-        path: outPath,
-        header: [
-          { id: 'email',   title: 'Email' },
-          { id: 'company', title: 'Company' },
-          { id: 'city',    title: 'City/Area' },
-          { id: 'website', title: 'Website' },
-          { id: 'status',  title: 'Status' },
-        ],
+app.delete('/api/review/:id', (req, res) => {
+  if (!review.remove(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true });
+});
+
+// Hand every approved item to the outbox (SENT-deduped). Progress streams like a run.
+app.post('/api/review/send', (req, res) => {
+  const approved = review.list({ status: 'approved' });
+  if (!approved.length) return res.status(400).json({ ok:false, error:'nothing_approved' });
+
+  const IGNORE_PREV = !!req.body?.ignorePrevious;
+  const { jobId, job } = createJob({ kind: 'review_send', params: { items: approved.length, ignorePrevious: IGNORE_PREV } });
+
+  (async () => {
+    const rows = [];
+    job._hb = heartbeat(job);
+    pushLog(job, `📤 Sending ${approved.length} approved email(s)`);
+
+    for (const it of approved) {
+      if (job.cancelled) break;
+      job.stats.found++;
+      job.stats.withEmail++;
+
+      const ekey = it.email.toLowerCase();
+      if (suppression.has(ekey)) {
+        job.stats.skipped++;
+        review.setStatus(it.id, 'rejected', { error: 'suppressed' });
+        pushLog(job, `🚫 Suppressed: ${it.email}`);
+        continue;
+      }
+      if (!IGNORE_PREV && SENT.has(ekey)) {
+        job.stats.skipped++;
+        review.setStatus(it.id, 'rejected', { error: 'already_contacted' });
+        pushLog(job, `⏭️ Already contacted: ${it.email}`);
+        continue;
+      }
+
+      const row = {
+        email: it.email, company: it.company, city: it.area, website: it.website,
+        contactName: it.ctx?.contactName || '', contactRole: it.ctx?.role || '', ...it.audit, variant: it.variant || '', subject: it.subject, body: it.body,
+      };
+      // reviewers may have edited company/area/website; follow-ups should use the edits
+      const ctx = it.sequenceId ? { ...it.ctx, company: it.company, business: it.company, city: it.area, area: it.area, website: it.website, yourSite: it.demoSite } : undefined;
+      const { at, label: sendAt } = sendTime(it.sendWindow, it.tz);
+      const placeId = it.audit?.placeId;
+      outbox.add({
+        to: it.email, subject: it.subject, text: it.body,
+        meta: {
+          jobId, replyJobId: it.jobId, variant: it.variant, sequenceId: it.sequenceId, ctx, company: it.company, reviewId: it.id,
+          addedToSent: !SENT.has(ekey), addedPlace: placeId && !CONTACTED_PLACES.has(placeId) ? placeId : null,
+        },
+        window: it.sendWindow || null, tz: it.tz || null, sendAt: at,
       });
-      await writer.writeRecords(rows);
-      job.file = `/download/${path.basename(outPath)}`;
-    } catch (e) {
-      pushLog(job, `💾 CSV write failed: ${String(e?.message || e)}`);
+      job.stats.outbox++;
+      SENT.add(ekey); queueSaveSent();
+      rememberPlace(placeId);
+      review.setStatus(it.id, 'outbox');
+      rows.push({ ...row, status: sendAt ? 'deferred' : 'outbox', sendAt });
+      pushLog(job, sendAt ? `🕗 Deferred ${it.email} (${it.company || 'Unknown'}) until ${sendAt}` : `📤 Queued to send: ${it.email} (${it.company || 'Unknown'})`);
     }
 
-    clearInterval(job._hb);
-    job.done = true;
-    pushLog(job, '🏁 Job complete');
-    if (job._senders) for (const fn of job._senders) fn('done', { file: job.file, stats: job.stats });
-  })().catch((e) => {
-    clearInterval(job._hb);
-    pushLog(job, '💥 Job error: ' + String(e));
-    const j = jobs.get(jobId); if (j) j.done = true;
-  });
+    if (job.cancelled) pushLog(job, '🛑 Stopped by user');
+    await writeResultsCsv(job, jobId, rows);
+    finishJob(job);
+  })().catch((e) => failJob(job, e));
 
   res.json({ jobId });
 });
 
+/* --------------------------- Sequence endpoints -------------------------- */
+app.get('/api/sequences', (_req, res) => res.json({ ok:true, sequences: sequences.list() }));
+
+app.post('/api/sequences', (req, res) => {
+  try { res.json({ ok:true, sequence: sequences.create(req.body || {}) }); }
+  catch (e) { res.status(400).json({ ok:false, error:String(e.message || e) }); }
+});
+
+app.put('/api/sequences/:id', (req, res) => {
+  try {
+    const seq = sequences.update(req.params.id, req.body || {});
+    if (!seq) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, sequence: seq });
+  } catch (e) { res.status(400).json({ ok:false, error:String(e.message || e) }); }
+});
+
+app.delete('/api/sequences/:id', (req, res) => {
+  if (!sequences.remove(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true });
+});
+
+app.get('/api/sequences/:id/contacts', (req, res) => {
+  if (!sequences.get(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true, contacts: sequences.contacts(req.params.id) });
+});
+
+// Manually take someone out of their sequence: { email, reason: replied|unsubscribed|bounced|stopped }
+app.post('/api/sequences/exit', (req, res) => {
+  const email = String(req.body?.email || '').trim();
+  if (!email) return res.status(400).json({ ok:false, error:'missing_email' });
+  const c = sequences.exit(email, String(req.body?.reason || 'stopped'));
+  if (!c) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true, contact: c });
+});
+
+/* ---------------------------- Inbound endpoints --------------------------- */
+app.get('/api/inbound/stats', (_req, res) => res.json({ ok:true, ...inbound.stats(), suppressed: suppression.size }));
+app.get('/api/inbound/events', (req, res) => res.json({ ok:true, events: inbound.events(Number(req.query.limit || 100)) }));
+app.post('/api/inbound/poll', async (_req, res) => {
+  if (!inbound.source) return res.status(400).json({ ok:false, error:'inbound_not_configured' });
+  try { res.json(await inbound.poll()); }
+  catch (e) { res.status(500).json({ ok:false, error:String(e.message || e) }); }
+});
+
+/* ---------------------------- Outbox endpoints --------------------------- */
+app.get('/api/outbox', (req, res) => {
+  const status = String(req.query.status || '').trim() || undefined;
+  const jobId = String(req.query.jobId || '').trim() || undefined;
+  const items = outbox.list({ status, jobId }).map(({ text: _text, meta: { ctx: _ctx, ...meta }, ...it }) => ({
+    ...it, meta, localSendAt: it.window ? describeLocal(it.sendAt, windowTimeZone(it.window, it.tz)) : null,
+  }));
+  res.json({ ok:true, counts: outbox.counts(), limits: outbox.limits(), items });
+});
+
+app.delete('/api/outbox/:id', (req, res) => {
+  const it = outbox.cancel(req.params.id);
+  if (!it) return res.status(404).json({ ok:false, error:'not_found' });
+  res.json({ ok:true, item: it });
+});
+
+/* ------------------------------ Job history ------------------------------ */
+app.get('/api/jobs', async (_req, res) => {
+  const list = await jobStore.list();
+  // Live jobs are fresher in memory than their debounced file
+  res.json({ ok:true, jobs: list.map(rec => (jobs.has(rec.id) ? jobSnapshot(rec.id, jobs.get(rec.id)) : rec)) });
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  const { id } = req.params;
+  const live = jobs.get(id);
+  const rec = live ? jobSnapshot(id, live) : await jobStore.get(id);
+  if (!rec) return res.status(404).json({ ok:false, error:'not_found' });
+  const log = live ? live.log : await jobStore.readLog(id);
+  res.json({ ok:true, job: rec, log });
+});
+
 /* --------------------------- Cancel / Stream / DL ------------------------ */
+// Stops the run and drops its emails still waiting in the outbox (?keepQueued=1 lets those go out).
+// Works on finished runs too, e.g. a review send whose window hasn't opened yet.
 app.post('/api/cancel', (req, res) => {
-  const { jobId } = req.query;
-  const job = jobs.get(String(jobId || ''));
-  if (!job) return res.status(404).json({ ok:false, error:'not_found' });
-  job.cancelled = true;
-  res.json({ ok:true });
+  const jobId = String(req.query.jobId || '');
+  const job = jobs.get(jobId);
+  const keepQueued = ['1', 'true'].includes(String(req.query.keepQueued || '').toLowerCase());
+  const waiting = keepQueued || !jobId ? [] : outbox.list({ status: 'waiting', jobId });
+  if (!job && !waiting.length) return res.status(404).json({ ok:false, error:'not_found' });
+  if (job && !job.done) {
+    job.cancelled = true;
+    job._abort?.abort(); // stops in-flight searches; leads mid-pipeline stop at the next stage
+  }
+  for (const it of waiting) outbox.cancel(it.id, RUN_CANCELLED);
+  if (waiting.length) {
+    if (job) pushLog(job, `🗑️ Cancelled ${waiting.length} queued email(s)`);
+    console.log(`[outbox] 🗑️ Cancelled ${waiting.length} queued email(s) of job ${jobId}`);
+  }
+  res.json({ ok:true, cancelledEmails: waiting.length });
 });
 
-app.get('/api/stream', (req, res) => {
+app.get('/api/stream', async (req, res) => {
   const { jobId } = req.query;
   const job = jobs.get(jobId);
-  if (!job) return res.status(404).end();
+  if (!job) {
+    // Finished before the last restart: replay it from history
+    const rec = await jobStore.get(jobId);
+    if (!rec) return res.status(404).end();
+    const send = sse(res);
+    for (const l of await jobStore.readLog(jobId)) send('log', l);
+    send('stats', rec.stats);
+    send('done', { file: rec.file, stats: rec.stats, doneReason: rec.doneReason });
+    return res.end();
+  }
   const send = sse(res);
   for (const l of job.log) send('log', l);
   send('stats', job.stats);
-  if (job.done) { send('done', { file: job.file, stats: job.stats }); return res.end(); }
+  if (job.done) { send('done', { file: job.file, stats: job.stats, doneReason: job.doneReason }); return res.end(); }
   job._senders = job._senders || new Set();
   job._senders.add(send);
   req.on('close', () => job._senders.delete(send));
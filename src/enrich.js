@@ -197,6 +197,114 @@ function extractObfuscated(text = '') {
   return [...out].map(s => s.toLowerCase());
 }
 
+/* ------------------------------ Contact names ---------------------------- */
+
+const ROLE_WORDS  = 'Owner|Co-Owner|Founder|Co-Founder|President|CEO|Principal|Managing Partner|Partner|Office Manager|Practice Manager|General Manager|Manager|Director|Broker|Head Chef';
+const CREDENTIALS = 'DDS|DMD|MD|DO|DC|DVM|OD|DPM|PhD|PharmD|NP|PA-C|Esq|CPA';
+const NAME        = "[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?";
+const FULL_NAME   = `${NAME}(?: [A-Z]\\.)? ${NAME}`;
+const TEAM_PAGE   = /about|team|staff|doctors?|providers?|leadership|meet|our-story|bio/i;
+
+// Words that show up Capitalised In Nav Links but are never part of a name
+const NOT_NAME = new Set(('about contact our the meet team staff read more book call free schedule home services ' +
+  'welcome privacy policy terms family dental clinic center group office new patient patients get learn view ' +
+  'click here us and of in your my all st street ave suite').split(' '));
+
+function makePerson(fullName, { role = '', method, source, email = null } = {}) {
+  const name = String(fullName || '').replace(/\s+/g, ' ').trim().replace(/^(dr|mr|mrs|ms|miss)\.?\s+/i, '');
+  const parts = name.split(' ');
+  if (parts.length < 2 || parts.length > 4 || name.length > 40) return null;
+  if (!parts.every(p => /^[A-Z]/.test(p)) || parts.some(p => NOT_NAME.has(p.toLowerCase().replace(/\.$/, '')))) return null;
+  return { name, firstName: parts[0], lastName: parts[parts.length - 1], role: String(role || '').trim(), method, source, email };
+}
+
+function visibleText(html = '') {
+  return html
+    .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, '\n')
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&#0?39;|&rsquo;/g, "'")
+    .replace(/[ \t]+/g, ' ');
+}
+
+function peopleFromJsonLd(html = '', source) {
+  const out = [];
+  const blocks = html.match(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi) || [];
+  const ROLE_KEYS = { founder: 'Founder', founders: 'Founder', employee: '', employees: '', member: '', owner: 'Owner' };
+  for (const blk of blocks) {
+    try {
+      const stack = [[JSON.parse(blk.replace(/^<script[^>]*>/i, '').replace(/<\/script>$/i, '')), '']];
+      while (stack.length) {
+        const [v, roleHint] = stack.pop();
+        if (v == null) continue;
+        if (typeof v === 'string') {
+          if (roleHint) { const p = makePerson(v, { role: roleHint, method: 'json-ld', source }); if (p) out.push(p); }
+        } else if (Array.isArray(v)) {
+          v.forEach(x => stack.push([x, roleHint]));
+        } else if (typeof v === 'object') {
+          const types = [].concat(v['@type'] || []);
+          if (types.includes('Person') && typeof v.name === 'string') {
+            const email = typeof v.email === 'string' ? (extractEmails(v.email)[0] || null) : null;
+            const p = makePerson(v.name, { role: v.jobTitle || roleHint, method: 'json-ld', source, email });
+            if (p) out.push(p);
+          }
+          for (const [k, x] of Object.entries(v)) stack.push([x, k in ROLE_KEYS ? ROLE_KEYS[k] || 'Staff' : '']);
+        }
+      }
+    } catch {}
+  }
+  return out;
+}
+
+// <a href="mailto:jane@acme.com">Jane Smith</a> names the person behind that address
+function peopleFromMailto(html = '', source) {
+  const out = [];
+  const re = /<a\b[^>]*?href\s*=\s*["']mailto:([^"'?]+)[^"']*["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m; while ((m = re.exec(html))) {
+    const text = m[2].replace(/<[^>]+>/g, ' ').trim();
+    if (text.includes('@')) continue;
+    const p = makePerson(text, { method: 'mailto', source, email: m[1].trim().toLowerCase() });
+    if (p) out.push(p);
+  }
+  return out;
+}
+
+function peopleFromText(html = '', source) {
+  const text = visibleText(html);
+  const out = [];
+  const patterns = [
+    [new RegExp(`\\bDr\\.? (${FULL_NAME})`, 'g'), m => [m[1], 'Doctor']],
+    [new RegExp(`(${FULL_NAME}),? (${CREDENTIALS})\\b`, 'g'), m => [m[1], m[2]]],
+    [new RegExp(`(${FULL_NAME}) ?(?:,|-|–|—|\\||\\n)\\s*(${ROLE_WORDS})\\b`, 'g'), m => [m[1], m[2]]],
+    [new RegExp(`\\b(${ROLE_WORDS}) ?(?::|-|–|—|,|\\n)\\s*(?:Dr\\.? )?(${FULL_NAME})`, 'g'), m => [m[2], m[1]]],
+  ];
+  for (const [re, pick] of patterns) {
+    let m; while ((m = re.exec(text))) {
+      const [name, role] = pick(m);
+      const p = makePerson(name, { role, method: 'text', source });
+      if (p) out.push(p);
+    }
+  }
+  return out;
+}
+
+const roleRank = (role = '') =>
+  new RegExp(`owner|founder|president|ceo|principal|doctor|${CREDENTIALS}`, 'i').test(role) ? 3
+    : /manager|director|partner|broker/i.test(role) ? 2
+    : role ? 1 : 0;
+
+// The person most likely to read `email`: named on it > matches its local part > most senior
+function pickPerson(people, email) {
+  if (!people.length) return null;
+  const addr = String(email || '').toLowerCase();
+  const local = addr.split('@')[0];
+  const score = (p) =>
+    (p.email && p.email === addr ? 100 : 0) +
+    ([p.firstName, p.lastName].some(n => n.length >= 3 && local.includes(n.toLowerCase())) ? 50 : 0) +
+    roleRank(p.role) * 10 +
+    (p.method === 'text' ? 0 : 5);
+  return [...people].sort((a, b) => score(b) - score(a))[0];
+}
+
 function pickLikelyPages(baseUrl, html = '') {
   const out = new Set();
   const re = /<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>(.*?)<\/a>/gsi;
@@ -207,8 +315,8 @@ function pickLikelyPages(baseUrl, html = '') {
     const abs = absoluteUrl(baseUrl, href);
     if (!abs) continue;
     if (
-      /contact|about|team|staff|support|help|privacy|legal|impressum|terms|policy|connect|locations?/i.test(href) ||
-      /contact|about|team|staff|support|help|privacy|legal|impressum|terms|policy/i.test(text)
+      /contact|about|team|staff|doctors?|providers?|leadership|support|help|privacy|legal|impressum|terms|policy|connect|locations?/i.test(href) ||
+      /contact|about|team|staff|doctors?|meet|support|help|privacy|legal|impressum|terms|policy/i.test(text)
     ) out.add(abs);
   }
   return [...out].slice(0, 8);
@@ -335,36 +443,169 @@ async function facebookSearchSlugs(query) {
   } catch { return []; }
 }
 
-/* -------------------------- Email scoring logic -------------------------- */
+/* --------------------------- Business metadata --------------------------- */
+
+function jsonLdNodes(html = '') {
+  const out = [];
+  const blocks = html.match(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi) || [];
+  for (const blk of blocks) {
+    try {
+      const stack = [JSON.parse(blk.replace(/^<script[^>]*>/i, '').replace(/<\/script>$/i, ''))];
+      while (stack.length) {
+        const v = stack.pop();
+        if (Array.isArray(v)) v.forEach(x => stack.push(x));
+        else if (v && typeof v === 'object') { out.push(v); Object.values(v).forEach(x => stack.push(x)); }
+      }
+    } catch {}
+  }
+  return out;
+}
 
-function bestEmailForDomain(candidates, siteHost) {
-  if (!candidates.length) return null;
-  const host = (siteHost || '').toLowerCase();
-
-  function score(e) {
-    const [, domain] = e.split('@');
-    let s = 0;
-    if (domain === host) s += 50;
-    if (domain.endsWith('.' + host)) s += 40;
-    if (/^(info|contact|hello|office|support|sales|bookings|admin|team|service|hi)\@/i.test(e)) s += 8;
-    if (/(gmail\.com|yahoo\.com|hotmail\.com|outlook\.com|aol\.com)$/i.test(domain)) s -= 20;
-    s -= Math.max(0, e.length - 24) * 0.1;
-    return s;
+const normPhone = (p) => {
+  const s = String(p || '').replace(/[^\d+]/g, '');
+  return s.replace(/\D/g, '').length >= 7 ? s : '';
+};
+
+function phonesFrom(html = '', nodes = jsonLdNodes(html)) {
+  const out = new Set();
+  const re = /href\s*=\s*["']tel:([^"']+)["']/gi;
+  let m; while ((m = re.exec(html))) { const p = normPhone(decodeURIComponent(m[1])); if (p) out.add(p); }
+  for (const n of nodes) for (const t of [].concat(n.telephone || [])) { const p = normPhone(t); if (p) out.add(p); }
+  return [...out];
+}
+
+const DAY = { monday: 'Mo', tuesday: 'Tu', wednesday: 'We', thursday: 'Th', friday: 'Fr', saturday: 'Sa', sunday: 'Su' };
+
+// "Mo-Fr 08:00-17:00; Sa 09:00-12:00" from openingHours strings or openingHoursSpecification
+function hoursFrom(nodes = []) {
+  const out = new Set();
+  for (const n of nodes) {
+    for (const h of [].concat(n.openingHours || [])) if (typeof h === 'string' && h.trim()) out.add(h.trim());
+    if (n.dayOfWeek && (n.opens || n.closes)) {
+      const days = [].concat(n.dayOfWeek).map(d => DAY[String(d).split('/').pop().toLowerCase()] || d).join(',');
+      out.add(`${days} ${String(n.opens || '').slice(0, 5)}-${String(n.closes || '').slice(0, 5)}`);
+    }
   }
+  return [...out].join('; ');
+}
 
-  return [...candidates].sort((a, b) => score(b) - score(a))[0];
+// Signatures in page source. Booking/chat answer "could an AI receptionist help here?"
+const TECH = {
+  booking: {
+    Calendly: /calendly\.com/i, Acuity: /acuityscheduling\.com/i, 'Square Appointments': /squareup\.com\/appointments|square\.site\/book/i,
+    Booksy: /booksy\.com/i, Vagaro: /vagaro\.com/i, Mindbody: /mindbodyonline\.com|healcode\.com/i, Setmore: /setmore\.com/i,
+    SimplyBook: /simplybook\.me/i, Zocdoc: /zocdoc\.com/i, NexHealth: /nexhealth\.com/i, LocalMed: /localmed\.com/i,
+    'Housecall Pro': /housecallpro\.com/i, ServiceTitan: /servicetitan\.com/i, Jobber: /getjobber\.com|clienthub\.getjobber/i,
+    OpenTable: /opentable\.com/i, Resy: /resy\.com/i, Fresha: /fresha\.com/i,
+  },
+  chat: {
+    Intercom: /widget\.intercom\.io|intercomcdn\.com/i, Drift: /js\.driftt\.com|drift\.com\/include/i, 'Tawk.to': /embed\.tawk\.to/i,
+    LiveChat: /cdn\.livechatinc\.com/i, 'Zendesk Chat': /static\.zdassets\.com|zopim\.com/i, 'HubSpot Chat': /js\.usemessages\.com/i,
+    Crisp: /client\.crisp\.chat/i, Tidio: /code\.tidio\.co/i, Olark: /static\.olark\.com/i, Podium: /connect\.podium\.com|podium\.com\/widget/i,
+    Birdeye: /birdeye\.com\/embed|widgets\.birdeye\.com/i, 'Messenger Chat': /customerchat/i,
+  },
+  cms: {
+    WordPress: /wp-content\/|wp-includes\//i, Wix: /static\.wixstatic\.com|wix\.com\/website/i, Squarespace: /squarespace(-cdn)?\.com/i,
+    Shopify: /cdn\.shopify\.com/i, Webflow: /webflow\.(com|io)|data-wf-site/i, GoDaddy: /img1\.wsimg\.com/i, Weebly: /weebly\.com/i,
+    Duda: /multiscreensite\.com|dudamobile\.com/i, Joomla: /\/media\/jui\/|content="Joomla/i, Drupal: /drupal-settings-json|\/sites\/default\/files\//i,
+  },
+};
+
+export const TECH_NAMES = Object.values(TECH).flatMap(Object.keys);
+
+function techFrom(html = '') {
+  const out = {};
+  for (const [kind, sigs] of Object.entries(TECH)) out[kind] = Object.keys(sigs).filter(name => sigs[name].test(html));
+  return out;
+}
+
+// Share buttons point at social sites too; those aren't the business's profile
+const SHARE_LINK = /sharer|share\.php|\/intent\/|shareArticle|\/share\?/i;
+
+/* -------------------------- Email scoring logic -------------------------- */
+
+const ROLE_LOCAL = /^(info|contact|hello|office|support|sales|bookings?|admin|team|service|hi|reception|frontdesk|appointments?|enquiries|inquiries|billing|mail)$/i;
+const FREEMAIL   = /(gmail\.com|yahoo\.com|hotmail\.com|outlook\.com|aol\.com)$/i;
+
+/**
+ * How much we trust `email` as the business's address. Same-domain beats
+ * subdomain beats anything else; freemail and very long addresses lose points.
+ */
+function scoreEmail(email, siteHost) {
+  const host = (siteHost || '').toLowerCase().replace(/^www\./, '');
+  const [local, domain = ''] = email.split('@');
+  const domainMatch = domain === host ? 'exact' : domain.endsWith('.' + host) ? 'subdomain' : 'none';
+  let s = domainMatch === 'exact' ? 50 : domainMatch === 'subdomain' ? 40 : 0;
+  if (ROLE_LOCAL.test(local)) s += 8;
+  if (FREEMAIL.test(domain)) s -= 20;
+  s -= Math.max(0, email.length - 24) * 0.1;
+  return { score: Math.round(s * 10) / 10, domainMatch, type: ROLE_LOCAL.test(local) ? 'role' : 'personal', freemail: FREEMAIL.test(domain) };
 }
 
 /* ---------------------------- Public main API ---------------------------- */
 
-const sessionCache = new Map(); // domain -> email
+const sessionCache = new Map(); // domain -> { emails, contact }
 
 /**
+ * Every address found for a business, best first, plus the contact for the best one.
  * @param {string} site Website URL (or any URL from the business)
  * @param {{name?: string, city?: string, state?: string}} hints Optional hints for social search
+ * @returns {Promise<{
+ *   emails: {email:string, score:number, domainMatch:'exact'|'subdomain'|'none', type:'role'|'personal', freemail:boolean,
+ *            method:'plain'|'json-ld'|'cloudflare'|'obfuscated'|'social', source:string}[],
+ *   contact: null|{email:string, emailSource:string, name:string, firstName:string, lastName:string, role:string, source:string},
+ *   profile: {phones:string[], socials:string[], hours:string, tech:{booking:string[], chat:string[], cms:string[]}}
+ * }>} `contact.source` is the page the name came from ('' when no name was found)
  */
-export async function findEmailOnSite(site, hints = {}) {
+export async function findEmailCandidates(site, hints = {}) {
   const siteUrl = normUrl(site);
+  const siteHost = siteUrl ? new URL(siteUrl).hostname : '';
+  const seen = new Map(); // email -> { method, source } of its first sighting
+  const people = [];
+  const addEmails = (list, source, method) => {
+    for (const e of list) {
+      const k = e.toLowerCase();
+      if (!seen.has(k)) seen.set(k, { method, source });
+    }
+  };
+  // Most specific extractor first, so an address in JSON-LD is credited to JSON-LD, not the plain scan
+  const addPage = (html, url, { rich = true, method } = {}) => {
+    if (rich) {
+      addEmails(emailsFromJsonLd(html), url, 'json-ld');
+      addEmails(emailsFromCloudflare(html), url, 'cloudflare');
+    }
+    addEmails(extractEmails(html), url, method || 'plain');
+    addEmails(extractObfuscated(html), url, method || 'obfuscated');
+  };
+  const addPeople = (html, url) => people.push(
+    ...peopleFromJsonLd(html, url), ...peopleFromMailto(html, url), ...peopleFromText(html, url)
+  );
+  // phones/socials/hours/tech from the site's own pages (homepage + likely pages)
+  const phones = new Set(), socials = new Set(), hours = new Set();
+  const tech = { booking: new Set(), chat: new Set(), cms: new Set() };
+  const addProfile = (html, url) => {
+    const nodes = jsonLdNodes(html);
+    phonesFrom(html, nodes).forEach(p => phones.add(p));
+    socialLinks(url, html).filter(u => !SHARE_LINK.test(u)).forEach(u => socials.add(u));
+    const h = hoursFrom(nodes);
+    if (h) hours.add(h);
+    for (const [kind, names] of Object.entries(techFrom(html))) names.forEach(n => tech[kind].add(n));
+  };
+  const result = () => {
+    const emails = [...seen].map(([email, at]) => ({ email, ...scoreEmail(email, siteHost), ...at }))
+      .sort((a, b) => b.score - a.score);
+    const best = emails[0];
+    const p = best && pickPerson(people, best.email);
+    const contact = best ? {
+      email: best.email, emailSource: best.source,
+      name: p?.name || '', firstName: p?.firstName || '', lastName: p?.lastName || '', role: p?.role || '', source: p?.source || '',
+    } : null;
+    const profile = {
+      phones: [...phones], socials: [...socials], hours: [...hours].join('; '),
+      tech: Object.fromEntries(Object.entries(tech).map(([k, v]) => [k, [...v]])),
+    };
+    return { emails, contact, profile };
+  };
 
   if (!siteUrl) {
     if (FETCH_SOCIALS && FB_SEARCH_ENABLED && hints?.name) {
@@ -372,17 +613,15 @@ export async function findEmailOnSite(site, hints = {}) {
       const slugs = await facebookSearchSlugs(q);
       for (const slug of slugs) {
         const emails = await emailsFromFacebook(slug);
-        if (emails.length) return emails[0];
+        if (emails.length) { addEmails(emails, toFacebookAbout(slug), 'social'); break; }
         await delay(THROTTLE_MS);
       }
     }
-    return null;
+    return result();
   }
 
-  const siteHost = new URL(siteUrl).hostname;
   if (sessionCache.has(siteHost)) return sessionCache.get(siteHost);
 
-  const seen = new Set();
   const visited = new Set();
 
   // 1) Homepage
@@ -392,28 +631,23 @@ export async function findEmailOnSite(site, hints = {}) {
       visited.add(r.url);
       const html = r.html;
 
-      for (const e of [
-        ...extractEmails(html),
-        ...emailsFromJsonLd(html),
-        ...extractObfuscated(html),
-        ...emailsFromCloudflare(html)
-      ]) seen.add(e);
+      addPage(html, r.url);
+      addPeople(html, r.url);
+      addProfile(html, r.url);
 
-      // likely pages
+      // likely pages; once we have an email, only team/about pages are worth a visit (for a name)
       const candidates = pickLikelyPages(r.url, html);
       for (const u of candidates) {
         if (visited.size > MAX_PAGES) break;
+        if (seen.size && people.length) break;
+        if (seen.size && !TEAM_PAGE.test(u)) continue;
         try {
           const r2 = await netFetch(u);
           if (!r2.ok) continue;
           visited.add(r2.url);
-          for (const e of [
-            ...extractEmails(r2.html),
-            ...emailsFromJsonLd(r2.html),
-            ...extractObfuscated(r2.html),
-            ...emailsFromCloudflare(r2.html)
-          ]) seen.add(e);
-          if (seen.size) break;
+          addPage(r2.html, r2.url);
+          addPeople(r2.html, r2.url);
+          addProfile(r2.html, r2.url);
           await delay(THROTTLE_MS);
         } catch {}
       }
@@ -427,10 +661,7 @@ export async function findEmailOnSite(site, hints = {}) {
             const r3 = await netFetch(durl);
             if (!r3.ok) continue;
             visited.add(r3.url);
-            for (const e of [
-              ...extractEmails(r3.html),
-              ...extractObfuscated(r3.html)
-            ]) seen.add(e);
+            addPage(r3.html, r3.url, { rich: false });
             if (seen.size) break;
             await delay(THROTTLE_MS);
           } catch {}
@@ -445,7 +676,7 @@ export async function findEmailOnSite(site, hints = {}) {
         const fbLinks = socials.filter(u => /facebook\.com/i.test(u));
         for (const fb of fbLinks) {
           const fbEmails = await emailsFromFacebook(fb);
-          fbEmails.forEach(e => seen.add(e));
+          addEmails(fbEmails, toFacebookAbout(fb), 'social');
           if (seen.size) break;
           await delay(THROTTLE_MS);
         }
@@ -458,10 +689,7 @@ export async function findEmailOnSite(site, hints = {}) {
               const r4 = await netFetch(sUrl);
               if (!r4.ok) continue;
               visited.add(r4.url);
-              for (const e of [
-                ...extractEmails(r4.html),
-                ...extractObfuscated(r4.html)
-              ]) seen.add(e);
+              addPage(r4.html, r4.url, { rich: false, method: 'social' });
               if (seen.size) break;
               await delay(THROTTLE_MS);
             } catch {}
@@ -473,7 +701,7 @@ export async function findEmailOnSite(site, hints = {}) {
 
   // 2) Well-known files
   if (!seen.size) {
-    try { (await tryWellKnown(siteUrl)).forEach(e => seen.add(e)); } catch {}
+    try { addEmails(await tryWellKnown(siteUrl), siteUrl, 'plain'); } catch {}
   }
 
   // 3) Sitemaps (capped)
@@ -493,12 +721,7 @@ export async function findEmailOnSite(site, hints = {}) {
             const r = await netFetch(u);
             if (!r.ok) continue;
             visited.add(r.url);
-            for (const e of [
-              ...extractEmails(r.html),
-              ...emailsFromJsonLd(r.html),
-              ...extractObfuscated(r.html),
-              ...emailsFromCloudflare(r.html)
-            ]) seen.add(e);
+            addPage(r.html, r.url);
             if (seen.size) break;
             await delay(THROTTLE_MS);
           } catch {}
@@ -514,14 +737,23 @@ export async function findEmailOnSite(site, hints = {}) {
     const slugs = await facebookSearchSlugs(q);
     for (const slug of slugs) {
       const emails = await emailsFromFacebook(slug);
-      emails.forEach(e => seen.add(e));
+      addEmails(emails, toFacebookAbout(slug), 'social');
       if (seen.size) break;
       await delay(THROTTLE_MS);
     }
   }
 
-  const uniq = uniqLower([...seen]);
-  const best = bestEmailForDomain(uniq, siteHost) || uniq[0] || null;
-  sessionCache.set(siteHost, best || null);
-  return best;
+  const found = result();
+  sessionCache.set(siteHost, found);
+  return found;
+}
+
+/** Best email plus, when the site names one, the person behind it (or null). */
+export async function findContactOnSite(site, hints = {}) {
+  return (await findEmailCandidates(site, hints)).contact;
+}
+
+/** Just the best email (or null). */
+export async function findEmailOnSite(site, hints = {}) {
+  return (await findEmailCandidates(site, hints)).contact?.email || null;
 }
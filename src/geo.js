@@ -0,0 +1,275 @@
+// src/geo.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { boundsFromCenter } from './grid.js';
+
+/**
+ * Offline US gazetteer (data/us-geography.json, rebuilt by `npm run build:geo`)
+ * and the expansion of what people type in "Cities" into search areas:
+ *
+ *   "Texas" / "TX"                 biggest cities in the state
+ *   "Travis County, TX"            cities in the county
+ *   "Austin" / "Austin, TX"        the city plus its neighbours (metro radius grows with population)
+ *   "78701", "78701 +25km", "78701:15mi"   cities around a ZIP
+ *
+ * Areas come back ranked by population as "City, ST"; anything we don't
+ * recognise is searched as typed.
+ *
+ * Also the local time zone of a lead (for recipient-time send windows).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_FILE = path.join(__dirname, '..', 'data', 'us-geography.json');
+
+const MAX_AREAS     = Number(process.env.GEO_MAX_AREAS || 20);
+const ZIP_RADIUS_KM = Number(process.env.GEO_ZIP_RADIUS_KM || 15);
+
+/* --------------------------------- Data ---------------------------------- */
+
+let geo = null; // loaded on first use (~3 MB)
+
+function load() {
+  if (geo) return geo;
+  const raw = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  const cities = raw.cities.map(([name, state, county, population, lat, lng]) => ({ name, state, county, population, lat, lng }));
+  const byName = new Map();
+  for (const c of cities) {
+    const k = c.name.toLowerCase();
+    if (!byName.has(k)) byName.set(k, []);
+    byName.get(k).push(c); // biggest first, like `cities`
+  }
+  const stateByName = new Map(Object.entries(raw.states).map(([code, name]) => [name.toLowerCase(), code]));
+  geo = { states: raw.states, stateByName, cities, byName, zips: raw.zips };
+  return geo;
+}
+
+const KM_PER_MI = 1.609344;
+
+function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad, dLng = (b.lng - a.lng) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+// Rough commuting radius: ~15 km around a small town, up to 60 km for the largest metros
+const metroRadiusKm = (population) => Math.min(60, Math.max(15, 10 + Math.sqrt(population) / 30));
+
+const label = (c) => `${c.name}, ${c.state}`;
+const toArea = (c, extra = {}) => ({ name: label(c), population: c.population, county: c.county, ...extra });
+
+/* -------------------------------- Lookups -------------------------------- */
+
+// "TX", "tx", "D.C." or a full name ("Texas") -> "TX"
+function stateCode(s) {
+  const g = load();
+  const t = String(s || '').trim();
+  const code = t.replace(/\./g, '').toUpperCase();
+  if (/^[A-Z]{2}$/.test(code) && g.states[code]) return code;
+  return g.stateByName.get(t.toLowerCase()) || null;
+}
+
+// Common ways to write places the gazetteer names differently
+const AREA_ALIASES = [
+  [/^washington\s*,?\s*d\.?\s*c\.?$/i, 'Washington, DC'],   // "Washington DC", "Washington, D.C."
+  [/^(new york\s*,\s*ny|nyc)$/i, 'New York City, NY'],     // GeoNames: "New York City"; bare "New York" is the state
+];
+const cleanArea = (s) => {
+  const t = String(s || '').trim();
+  const hit = AREA_ALIASES.find(([re]) => re.test(t));
+  return hit ? hit[1] : t;
+};
+
+function citiesNear(center, radiusKm, limit) {
+  return load().cities
+    .map(c => ({ c, d: distanceKm(center, c) }))
+    .filter(x => x.d <= radiusKm)
+    .slice(0, limit) // already biggest first
+    .map(({ c, d }) => toArea(c, { distanceKm: Math.round(d * 10) / 10 }));
+}
+
+const COUNTY = /\s+(county|parish|borough|census area|municipality)$/i;
+
+/**
+ * @param {string} input one entry from the Cities box
+ * @returns {{ input:string, kind:'state'|'county'|'metro'|'zip'|'unknown', label:string, areas:object[] }}
+ *   areas: [{ name: "Austin, TX", population, county, distanceKm? }]
+ */
+export function expandArea(input, { limit = MAX_AREAS } = {}) {
+  const g = load();
+  const text = cleanArea(input);
+  if (!text) return { input: text, kind: 'unknown', label: '', areas: [] };
+
+  // ZIP with optional radius
+  const zm = /^(\d{5})(?:\s*(?:\+|:|within|r=)\s*(\d+(?:\.\d+)?)\s*(km|mi)?)?$/i.exec(text);
+  if (zm) {
+    const z = g.zips[zm[1]];
+    if (!z) return { input: text, kind: 'unknown', label: text, areas: [{ name: text }] };
+    const [lat, lng, place, state, county] = z;
+    const radiusKm = zm[2] ? Number(zm[2]) * (/mi/i.test(zm[3] || '') ? KM_PER_MI : 1) : ZIP_RADIUS_KM;
+    let areas = citiesNear({ lat, lng }, radiusKm, limit);
+    if (!areas.length) areas = [{ name: `${place}, ${state}`, county }];
+    return { input: text, kind: 'zip', label: `${zm[1]} (${place}, ${state}) +${Math.round(radiusKm)} km`, areas };
+  }
+
+  // State
+  const st = stateCode(text);
+  if (st) {
+    const areas = g.cities.filter(c => c.state === st).slice(0, limit).map(c => toArea(c));
+    return { input: text, kind: 'state', label: g.states[st], areas };
+  }
+
+  // "Name[, ST]" — a county when it says so, else a city/metro
+  const [, namePart, statePart] = /^(.+?)(?:,\s*([A-Za-z .]+))?$/.exec(text);
+  const inState = statePart ? stateCode(statePart) : null;
+
+  if (COUNTY.test(namePart)) {
+    const county = namePart.replace(COUNTY, '').trim().toLowerCase();
+    const inCounty = g.cities.filter(c => c.county.toLowerCase() === county && (!inState || c.state === inState));
+    if (inCounty.length) {
+      const st2 = inState || inCounty[0].state;
+      const areas = inCounty.filter(c => c.state === st2).slice(0, limit).map(c => toArea(c));
+      const kindWord = COUNTY.exec(namePart)[1].replace(/\b\w/g, ch => ch.toUpperCase());
+      return { input: text, kind: 'county', label: `${inCounty[0].county} ${kindWord}, ${st2}`, areas };
+    }
+  }
+
+  const matches = (g.byName.get(namePart.trim().toLowerCase()) || []).filter(c => !inState || c.state === inState);
+  if (matches.length) {
+    const city = matches[0];
+    const radiusKm = metroRadiusKm(city.population);
+    const near = citiesNear(city, radiusKm, limit + 1).filter(a => a.name !== label(city));
+    return {
+      input: text, kind: 'metro', label: `${label(city)} +${Math.round(radiusKm)} km`,
+      areas: [toArea(city, { distanceKm: 0 }), ...near].slice(0, limit),
+    };
+  }
+
+  return { input: text, kind: 'unknown', label: text, areas: [{ name: text }] };
+}
+
+/**
+ * Bounding box for one search area ("Austin, TX", "78701"), for sources that
+ * search by box rather than by text. Roughly the city itself, not its metro.
+ * @returns {{south,west,north,east}|null}
+ */
+export function areaBounds(name) {
+  const g = load();
+  const text = cleanArea(name);
+  if (/^\d{5}$/.test(text)) {
+    const z = g.zips[text];
+    return z ? boundsFromCenter({ lat: z[0], lng: z[1] }, ZIP_RADIUS_KM / 2) : null;
+  }
+  const [, namePart, statePart] = /^(.+?)(?:,\s*([A-Za-z .]+))?$/.exec(text) || [];
+  if (!namePart) return null;
+  const inState = statePart ? stateCode(statePart) : null;
+  const city = (g.byName.get(namePart.trim().toLowerCase()) || []).find(c => !inState || c.state === inState);
+  return city ? boundsFromCenter(city, metroRadiusKm(city.population) / 2) : null;
+}
+
+/* ------------------------------- Time zones ------------------------------- */
+
+const ET = 'America/New_York', CT = 'America/Chicago', MT = 'America/Denver', PT = 'America/Los_Angeles';
+const STATE_TZ = {
+  AL: CT, AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: CT, CA: PT, CO: MT, CT: ET, DE: ET, DC: ET, FL: ET,
+  GA: ET, HI: 'Pacific/Honolulu', ID: 'America/Boise', IL: CT, IN: 'America/Indiana/Indianapolis', IA: CT, KS: CT,
+  KY: ET, LA: CT, ME: ET, MD: ET, MA: ET, MI: 'America/Detroit', MN: CT, MS: CT, MO: CT, MT: MT, NE: CT, NV: PT,
+  NH: ET, NJ: ET, NM: MT, NY: ET, NC: ET, ND: CT, OH: ET, OK: CT, OR: PT, PA: ET, RI: ET, SC: ET, SD: CT, TN: CT,
+  TX: CT, UT: MT, VT: ET, VA: ET, WA: PT, WV: ET, WI: CT, WY: MT, PR: 'America/Puerto_Rico',
+};
+// States split between zones: rough lines along the county boundaries, good enough for a send window
+const SPLIT_TZ = {
+  TX: ({ lng }) => (lng < -104.9 ? MT : null),                                  // El Paso
+  FL: ({ lng }) => (lng < -85.0 ? CT : null),                                   // panhandle west of the Apalachicola
+  TN: ({ lat, lng }) => (lng > -84.9 || (lat < 35.25 && lng > -85.5) ? ET : null),
+  KY: ({ lng }) => (lng < -86.0 ? CT : null),
+  IN: ({ lat, lng }) => (lng < -86.9 && (lat > 41.0 || lat < 38.6) ? CT : null), // Gary, Evansville
+  MI: ({ lat, lng }) => (lat > 45.0 && lng < -87.4 ? CT : null),                // UP counties on the WI line
+  KS: ({ lng }) => (lng < -101.5 ? MT : null),
+  NE: ({ lng }) => (lng < -101.0 ? MT : null),
+  ND: ({ lat, lng }) => (lat < 47.3 && lng < -101.0 ? MT : null),
+  SD: ({ lng }) => (lng < -100.6 ? MT : null),
+  ID: ({ lat }) => (lat > 45.6 ? PT : null),                                    // the panhandle
+  OR: ({ lat, lng }) => (lat < 44.3 && lng < -117.6 ? 'America/Boise' : null),  // Malheur County
+};
+
+/**
+ * IANA time zone for a US lead from whatever it has: coordinates, ZIP,
+ * city/state, or the "City, ST" area it was found in. null when unknown.
+ * @param {{ lat?, lng?, postalCode?, city?, state?, area? }} lead
+ */
+export function timeZoneFor({ lat, lng, postalCode, city, state, area } = {}) {
+  const g = load();
+  const [, areaCity, areaState] = /^(.+?),\s*([A-Za-z .]+)$/.exec(cleanArea(area)) || [];
+  const zip = g.zips[String(postalCode || '').slice(0, 5)];
+  const st = stateCode(state) || zip?.[3] || stateCode(areaState);
+  if (!st || !STATE_TZ[st]) return null;
+
+  let at = Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : zip ? { lat: zip[0], lng: zip[1] } : null;
+  if (!at && SPLIT_TZ[st]) {
+    const name = String(city || areaCity || '').trim().toLowerCase();
+    at = (g.byName.get(name) || []).find(c => c.state === st) || null;
+  }
+  return (at && SPLIT_TZ[st]?.(at)) || STATE_TZ[st];
+}
+
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const formatters = new Map();
+
+/** Wall-clock fields of `ms` in `tz` (undefined = the server's zone). */
+export function localTime(ms, tz) {
+  if (!tz) {
+    const d = new Date(ms);
+    return { month: d.getMonth() + 1, dom: d.getDate(), dow: d.getDay(), hour: d.getHours(), minute: d.getMinutes() };
+  }
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', { timeZone: tz, hourCycle: 'h23', month: 'numeric', day: 'numeric', weekday: 'short', hour: 'numeric', minute: 'numeric' }));
+  }
+  const p = Object.fromEntries(formatters.get(tz).formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return { month: Number(p.month), dom: Number(p.day), dow: DAYS.indexOf(p.weekday.toLowerCase()), hour: Number(p.hour), minute: Number(p.minute) };
+}
+
+/** Throws unless `tz` is a zone this runtime knows. */
+export function checkTimeZone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); }
+  catch { throw new Error(`Unknown time zone "${tz}"`); }
+  return tz;
+}
+
+/** Expand several entries into one de-duplicated list of area names (run order). */
+export function expandAreas(inputs, opts) {
+  const seen = new Set(), out = [];
+  for (const input of inputs) {
+    for (const a of expandArea(input, opts).areas) {
+      const k = a.name.toLowerCase();
+      if (!seen.has(k)) { seen.add(k); out.push(a.name); }
+    }
+  }
+  return out;
+}
+
+/**
+ * Split the Cities box: commas or semicolons, but "Austin, TX" stays one entry
+ * (a bare two-letter state code joins the place before it, unless that is a
+ * state itself, a ZIP or already has its state):
+ *   "Austin, TX, Dallas, TX" → ["Austin, TX", "Dallas, TX"]
+ *   "TX, FL"                 → ["TX", "FL"]
+ *   "Texas, FL"              → ["Texas", "FL"]
+ *   "New York, NY"           → ["New York, NY"]
+ *   "Washington, D.C."       → ["Washington, DC"]
+ */
+export function splitAreas(text) {
+  const g = load();
+  const out = [];
+  for (const part of String(text || '').split(/[;,]/).map(s => s.trim()).filter(Boolean)) {
+    const prev = out[out.length - 1];
+    // "New York, NY" and "Washington, DC" name cities; "Texas, FL" and "TX, FL" are two states
+    const onlyState = prev && stateCode(prev) && (/^[a-z]{2}$/i.test(prev) || (stateCode(prev) !== stateCode(part) && !g.byName.has(prev.toLowerCase())));
+    const joins = prev && !prev.includes(',') && !onlyState && !/^\d{5}\b/.test(prev);
+    const code = /^[a-z]\.?[a-z]\.?$/i.test(part) && stateCode(part);
+    if (joins && code) out[out.length - 1] += `, ${code}`;
+    else out.push(part);
+  }
+  return out;
+}
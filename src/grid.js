@@ -0,0 +1,153 @@
+// src/grid.js
+
+/**
+ * Grid search: instead of guessing "North Austin" / "Austin Suburbs" text
+ * queries, tile an area into locationRestriction rectangles and search each.
+ * Places stops at 60 results per query, so a tile that comes back full is
+ * split into four and searched again (up to maxDepth), which is what finds
+ * the long tail in dense areas.
+ *
+ * tile: { south, west, north, east, depth }
+ */
+
+const KM_PER_DEG_LAT = 111.32;
+
+const TILE_CAP      = Number(process.env.GRID_TILE_CAP || 60);     // Places' per-query ceiling
+const PAGES_PER_TILE = Number(process.env.GRID_PAGES_PER_TILE || 3);
+const MAX_TILES     = Number(process.env.GRID_MAX_TILES || 400);   // initial grid guard
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+export function boundsFromCenter({ lat, lng }, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEG_LAT;
+  const dLng = radiusKm / (KM_PER_DEG_LAT * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+  return { south: round(lat - dLat), west: round(lng - dLng), north: round(lat + dLat), east: round(lng + dLng) };
+}
+
+/** Split bounds into roughly cellKm x cellKm tiles. */
+export function tilesFor(bounds, cellKm) {
+  const midLat = (bounds.south + bounds.north) / 2;
+  const heightKm = (bounds.north - bounds.south) * KM_PER_DEG_LAT;
+  const widthKm  = (bounds.east - bounds.west) * KM_PER_DEG_LAT * Math.cos(midLat * Math.PI / 180);
+  const rows = Math.max(1, Math.ceil(heightKm / cellKm));
+  const cols = Math.max(1, Math.ceil(widthKm / cellKm));
+  if (rows * cols > MAX_TILES) throw new Error(`Grid would be ${rows * cols} tiles (max ${MAX_TILES}); use a larger cellKm`);
+
+  const dLat = (bounds.north - bounds.south) / rows, dLng = (bounds.east - bounds.west) / cols;
+  const out = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      out.push({
+        south: round(bounds.south + r * dLat), north: round(bounds.south + (r + 1) * dLat),
+        west: round(bounds.west + c * dLng),   east: round(bounds.west + (c + 1) * dLng),
+        depth: 0,
+      });
+    }
+  }
+  return out;
+}
+
+export function splitTile(t) {
+  const lat = round((t.south + t.north) / 2), lng = round((t.west + t.east) / 2);
+  const depth = t.depth + 1;
+  return [
+    { south: t.south, west: t.west, north: lat, east: lng, depth },
+    { south: t.south, west: lng, north: lat, east: t.east, depth },
+    { south: lat, west: t.west, north: t.north, east: lng, depth },
+    { south: lat, west: lng, north: t.north, east: t.east, depth },
+  ];
+}
+
+/** Places API rectangle for a tile. */
+export const toRectangle = (t) => ({
+  low:  { latitude: t.south, longitude: t.west },
+  high: { latitude: t.north, longitude: t.east },
+});
+
+export const tileLabel = (t) => `${t.south},${t.west} → ${t.north},${t.east}`;
+
+const pair = (v) => (typeof v === 'string' ? v.split(',').map(Number) : v);
+
+/**
+ * Validate grid params from the dashboard/API. Either
+ *   { center: "lat,lng" | {lat,lng}, radiusKm }  or  { bounds: "south,west,north,east" | {south,west,north,east} }
+ * plus optional cellKm (default 5) and maxDepth (default 3). Returns null when no grid was asked for.
+ */
+export function cleanGrid(input) {
+  if (!input || typeof input !== 'object') return null;
+  const { center, radiusKm, bounds } = input;
+  if (!center && !bounds) return null;
+
+  let b;
+  if (bounds) {
+    const v = pair(bounds);
+    const [south, west, north, east] = Array.isArray(v) ? v : [v.south, v.west, v.north, v.east].map(Number);
+    b = { south, west, north, east };
+  } else {
+    const v = pair(center);
+    const [lat, lng] = Array.isArray(v) ? v : [Number(v.lat), Number(v.lng)];
+    const r = Number(radiusKm);
+    if (![lat, lng].every(Number.isFinite) || Math.abs(lat) > 90 || Math.abs(lng) > 180) throw new Error('Grid center must be "lat,lng"');
+    if (!(r > 0 && r <= 200)) throw new Error('Grid radiusKm must be between 0 and 200');
+    b = boundsFromCenter({ lat, lng }, r);
+  }
+  if (![b.south, b.west, b.north, b.east].every(Number.isFinite) || b.south >= b.north || b.west >= b.east) {
+    throw new Error('Grid bounds must be "south,west,north,east"');
+  }
+
+  const cellKm = Number(input.cellKm || 5);
+  const maxDepth = Number(input.maxDepth ?? 3);
+  if (!(cellKm >= 0.2 && cellKm <= 100)) throw new Error('Grid cellKm must be between 0.2 and 100');
+  if (!(Number.isInteger(maxDepth) && maxDepth >= 0 && maxDepth <= 6)) throw new Error('Grid maxDepth must be 0–6');
+  tilesFor(b, cellKm); // throws if the grid is unreasonably large
+  return { bounds: b, cellKm, maxDepth };
+}
+
+/**
+ * Yields one page at a time: { items, tile, page, queue }.
+ * `items` only holds places not seen earlier in this search (by place ID, else website/name).
+ * `queue` is the tiles still to do (current one first) — persist it to resume later.
+ *
+ * @param {object} o
+ * @param {string} o.query text query, e.g. the niche
+ * @param {{bounds:object, cellKm:number, maxDepth:number}} o.grid from cleanGrid
+ * @param {(args:{query:string, cursor:string|null, pageSize:number, rectangle:object})=>Promise<{items:any[], nextCursor:string|null}>} o.fetchPage
+ * @param {object[]} [o.queue] saved queue to resume from
+ * @param {(tile:object, got:number)=>void} [o.onSplit]
+ * @param {(err:Error, tile:object, page:number)=>void} [o.onError] a failed page ends its tile and the
+ *   search moves on to the next one; throw from here to stop the whole search instead
+ */
+export async function* gridSearch({ query, grid, fetchPage, queue: saved = null, onSplit = () => {}, onError = (e) => { throw e; } }) {
+  const queue = saved?.length ? saved.map(t => ({ ...t })) : tilesFor(grid.bounds, grid.cellKm);
+  const seen = new Set();
+
+  while (queue.length) {
+    const tile = queue[0];
+    let cursor = null, page = 0, got = 0, failed = false;
+    do {
+      let res;
+      try { res = await fetchPage({ query, cursor, pageSize: 20, rectangle: toRectangle(tile) }); }
+      catch (e) { onError(e, tile, page + 1); failed = true; break; }
+      const items = res.items || [];
+      cursor = res.nextCursor || null;
+      page++;
+      got += items.length;
+
+      const fresh = items.filter(b => {
+        const key = b.placeId || (b.website || b.name || '').toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      yield { items: fresh, tile, page, queue };
+      if (!items.length) break;
+    } while (cursor && page < PAGES_PER_TILE);
+
+    queue.shift();
+    // A full tile probably has more than Places would return; look closer (depth-first)
+    if (!failed && got >= TILE_CAP && tile.depth < grid.maxDepth) {
+      onSplit(tile, got);
+      queue.unshift(...splitTile(tile));
+    }
+  }
+}
@@ -0,0 +1,337 @@
+// src/inbound.js
+import fs from 'fs/promises';
+import path from 'path';
+import { jsonStore } from './store.js';
+
+/* -------------------------------- Config -------------------------------- */
+
+const IMAP_HOST    = (process.env.INBOUND_IMAP_HOST || '').trim();
+const IMAP_PORT    = Number(process.env.INBOUND_IMAP_PORT || 993);
+const IMAP_SECURE  = !/^(0|false|no|off)$/i.test(String(process.env.INBOUND_IMAP_SECURE || 'true'));
+const IMAP_USER    = (process.env.INBOUND_IMAP_USER || '').trim();
+const IMAP_PASS    = process.env.INBOUND_IMAP_PASS || '';
+const IMAP_MAILBOX = process.env.INBOUND_MAILBOX || 'INBOX';
+const MAILDIR      = (process.env.INBOUND_MAILDIR || '').trim();  // local testing: read <dir>/new + <dir>/cur
+const MBOX         = (process.env.INBOUND_MBOX || '').trim();     // local testing: one mbox file
+
+const MAX_REMEMBERED = 5000; // processed ids / sent ids kept for matching
+
+/* ---------------------------- Message parsing --------------------------- */
+
+function splitHeaderBody(raw = '') {
+  const m = /\r?\n\r?\n/.exec(raw);
+  if (!m) return { head: raw, body: '' };
+  return { head: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+}
+
+function parseHeaders(head = '') {
+  const out = {};
+  const unfolded = head.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    const k = line.slice(0, i).trim().toLowerCase();
+    const v = line.slice(i + 1).trim();
+    if (!(k in out)) out[k] = v; // first one wins (outermost)
+  }
+  return out;
+}
+
+const msgIds = (v = '') => (String(v).match(/<[^<>\s]+>/g) || []);
+const addrOf = (v = '') => (String(v).match(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}/i) || [''])[0].toLowerCase();
+
+function decodeBody(body, headers) {
+  const cte = String(headers['content-transfer-encoding'] || '').toLowerCase();
+  if (cte === 'base64') {
+    try { return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8'); } catch { return body; }
+  }
+  if (cte === 'quoted-printable') {
+    return body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16)));
+  }
+  return body;
+}
+
+/** Minimal RFC 5322 parse: enough headers + text to match and classify. */
+export function parseMessage(raw = '') {
+  const { head, body } = splitHeaderBody(String(raw));
+  const headers = parseHeaders(head);
+  const text = decodeBody(body, headers);
+  return {
+    headers,
+    messageId: msgIds(headers['message-id'])[0] || null,
+    inReplyTo: msgIds(headers['in-reply-to']),
+    references: msgIds(headers['references']),
+    from: addrOf(headers.from),
+    subject: headers.subject || '',
+    text,
+    raw: String(raw),
+  };
+}
+
+/* ---------------------------- Classification ---------------------------- */
+
+// What the person actually wrote: drop quoted lines and everything after "On … wrote:"
+// Where the quoted original starts: "On … wrote:", "Original Message", Outlook/Gmail-mobile
+// "From: … Sent: …" header blocks and rules, or our own footer (it says "unsubscribe")
+const QUOTE_STARTS = [
+  /^\s*On .{0,200}wrote:\s*$/im,
+  /^-{2,}\s*Original Message/im,
+  /^\s*\*?From:\*?[^\n]*\n(?:[^\n]*\n){0,3}?\s*\*?(?:Sent|Date|To|Subject):/im,
+  /^_{5,}\s*$/m,
+  /^.*(?:don[’']t want (?:emails|messages) like this|reply\s+["“”']?unsubscribe|https?:\/\/\S*unsubscribe).*$/im,
+];
+
+function freshText(text = '') {
+  let cut = String(text).replace(/\r\n/g, '\n');
+  for (const re of QUOTE_STARTS) {
+    const m = re.exec(cut);
+    if (m) cut = cut.slice(0, m.index);
+  }
+  return cut.split('\n').filter(l => !/^\s*>/.test(l)).join('\n').slice(0, 1000);
+}
+
+function parseDsn(raw = '') {
+  const recipient = (/^\s*Final-Recipient:\s*[^;]*;\s*<?([^>\s]+)>?/im.exec(raw) || /^\s*Original-Recipient:\s*[^;]*;\s*<?([^>\s]+)>?/im.exec(raw) || [])[1] || '';
+  const status = (/^\s*Status:\s*(\d\.\d{1,3}\.\d{1,3})/im.exec(raw) || [])[1] || '';
+  const action = ((/^\s*Action:\s*(\w+)/im.exec(raw) || [])[1] || '').toLowerCase();
+  const diagnostic = ((/^\s*Diagnostic-Code:\s*(.+)$/im.exec(raw) || [])[1] || '').trim();
+  return { recipient: recipient.toLowerCase(), status, action, diagnostic };
+}
+
+/**
+ * @returns {{ type: 'hard_bounce'|'soft_bounce'|'auto_reply'|'unsubscribe'|'reply', recipient?: string, status?: string, detail?: string }}
+ */
+export function classifyMessage(msg) {
+  const h = msg.headers;
+  const ctype = String(h['content-type'] || '').toLowerCase();
+  const subj = msg.subject;
+
+  const looksLikeBounce =
+    /report-type="?delivery-status/.test(ctype) ||
+    /^(mailer-daemon|postmaster)@/i.test(msg.from) ||
+    /(undeliver|delivery status notification|returned mail|delivery (has )?failed|mail delivery failed|failure notice)/i.test(subj);
+
+  if (looksLikeBounce) {
+    const dsn = parseDsn(msg.raw);
+    const hard = /^5\./.test(dsn.status) || (!dsn.status && /\b55\d\b|user unknown|no such user|does not exist|mailbox unavailable/i.test(msg.raw));
+    return { type: hard ? 'hard_bounce' : 'soft_bounce', recipient: dsn.recipient, status: dsn.status, detail: dsn.diagnostic.slice(0, 200) };
+  }
+
+  const autoSubmitted = String(h['auto-submitted'] || '').toLowerCase();
+  if (
+    (autoSubmitted && autoSubmitted !== 'no') ||
+    h['x-autoreply'] || h['x-autorespond'] ||
+    /^(auto_reply|bulk|junk)$/i.test(String(h.precedence || '')) ||
+    /(out of (the )?office|automatic reply|auto.?reply|autoreply|away from (the )?office|on vacation)/i.test(subj)
+  ) return { type: 'auto_reply' };
+
+  if (/\b(unsubscribe|remove me|stop emailing|take me off|opt.?out|do not (contact|email))\b/i.test(`${subj}\n${freshText(msg.text)}`)) {
+    return { type: 'unsubscribe' };
+  }
+
+  return { type: 'reply' };
+}
+
+/* -------------------------------- Sources -------------------------------- */
+
+async function readMaildir(dir) {
+  const out = [];
+  for (const sub of ['new', 'cur']) {
+    let names = [];
+    try { names = await fs.readdir(path.join(dir, sub)); } catch { continue; }
+    for (const n of names) {
+      try { out.push({ key: `maildir:${sub}/${n}`, raw: await fs.readFile(path.join(dir, sub, n), 'utf8') }); } catch {}
+    }
+  }
+  return out;
+}
+
+async function readMbox(file) {
+  let raw = '';
+  try { raw = await fs.readFile(file, 'utf8'); } catch { return []; }
+  return raw.split(/^From .*\r?\n/m).filter(s => s.trim()).map((m, i) => ({ key: `mbox:${i}`, raw: m.replace(/^>(>*From )/gm, '$1') }));
+}
+
+async function readImap() {
+  const { ImapFlow } = await import('imapflow');
+  const client = new ImapFlow({ host: IMAP_HOST, port: IMAP_PORT, secure: IMAP_SECURE, auth: { user: IMAP_USER, pass: IMAP_PASS }, logger: false });
+  const out = [];
+  await client.connect();
+  try {
+    const lock = await client.getMailboxLock(IMAP_MAILBOX);
+    try {
+      for await (const m of client.fetch({ seen: false }, { uid: true, source: true })) {
+        out.push({ key: `imap:${m.uid}`, uid: m.uid, raw: m.source.toString('utf8') });
+      }
+      if (out.length) await client.messageFlagsAdd(out.map(m => m.uid), ['\\Seen'], { uid: true });
+    } finally { lock.release(); }
+  } finally {
+    await client.logout().catch(() => {});
+  }
+  return out;
+}
+
+export function inboundSource() {
+  if (IMAP_HOST && IMAP_USER) return { name: `imap://${IMAP_USER}@${IMAP_HOST}/${IMAP_MAILBOX}`, read: readImap };
+  if (MAILDIR) return { name: `maildir:${MAILDIR}`, read: () => readMaildir(MAILDIR) };
+  if (MBOX) return { name: `mbox:${MBOX}`, read: () => readMbox(MBOX) };
+  return null;
+}
+
+/* -------------------------------- Engine -------------------------------- */
+
+/**
+ * Polls the mailbox, matches messages to our sent mail and records an outcome
+ * per contact. `onOutcome(email, outcome, event, meta)` lets the server feed
+ * suppression, stop sequences and credit replies to the run/variant in `meta`
+ * (whatever was passed to recordSent). A contact who writes back again is
+ * credited once per run: later replies come with `event.repeat`.
+ *
+ * outcome: replied | auto_reply | bounced | unsubscribed
+ */
+export function createInbound({ file, source = inboundSource(), isKnown = () => false, onOutcome = () => {}, log = () => {} }) {
+  const store = jsonStore(file, { fallback: () => ({ sent: {}, processed: [], contacts: {}, events: [], lastPollAt: null }), label: 'inbound' });
+  let polling = false;
+  let timer = null;
+
+  const trim = (obj, max) => {
+    const keys = Object.keys(obj);
+    for (const k of keys.slice(0, Math.max(0, keys.length - max))) delete obj[k];
+  };
+
+  // sent[messageId] is { email, ...meta } (older entries: just the email string)
+  const entryOf = (v) => (typeof v === 'string' ? { email: v } : v);
+  const lastSentTo = (email) => {
+    const all = Object.values(store.data.sent).map(entryOf);
+    for (let i = all.length - 1; i >= 0; i--) if (all[i].email === email) return all[i];
+    return null;
+  };
+
+  // Which of our recipients does this message belong to?
+  function match(msg, cls) {
+    const sent = store.data.sent;
+    const ids = [...msg.inReplyTo, ...msg.references];
+    if (cls.type.endsWith('bounce')) ids.push(...msgIds((msg.raw.match(/^Message-ID:.*$/gim) || []).slice(1).join(' ')));
+    for (const id of ids) if (sent[id]) return { ...entryOf(sent[id]), by: 'message-id' };
+    if (cls.recipient) {
+      const hit = lastSentTo(cls.recipient);
+      if (hit || isKnown(cls.recipient)) return { ...(hit || { email: cls.recipient }), by: 'dsn' };
+    }
+    if (!cls.type.endsWith('bounce') && msg.from) {
+      const hit = lastSentTo(msg.from);
+      if (hit || isKnown(msg.from)) return { ...(hit || { email: msg.from }), by: 'from' };
+    }
+    return null;
+  }
+
+  const OUTCOME = { reply: 'replied', auto_reply: 'auto_reply', hard_bounce: 'bounced', unsubscribe: 'unsubscribed' };
+
+  const inbound = {
+    source,
+
+    async load() {
+      await store.load();
+      store.data.sent ||= {};
+      store.data.processed ||= [];
+      store.data.contacts ||= {};
+      store.data.events ||= [];
+    },
+    flush: () => store.flush(),
+
+    /** Remember Message-ID -> recipient so replies and bounces can be matched. */
+    recordSent(messageId, email, meta = {}) {
+      if (!messageId || !email) return;
+      store.data.sent[messageId] = { email: String(email).toLowerCase(), ...meta };
+      trim(store.data.sent, MAX_REMEMBERED * 4);
+      store.save();
+    },
+
+    outcome(email) {
+      return store.data.contacts[String(email || '').toLowerCase()] || null;
+    },
+
+    /** Handle one raw RFC 822 message. Returns the recorded event (or null if unmatched/ignored). */
+    ingest(raw, key = null) {
+      const msg = parseMessage(raw);
+      const cls = classifyMessage(msg);
+      const m = match(msg, cls);
+      const outcome = OUTCOME[cls.type];
+      const event = {
+        at: Date.now(), key, messageId: msg.messageId, from: msg.from, subject: msg.subject.slice(0, 200),
+        type: cls.type, email: m?.email || null, matchedBy: m?.by || null, status: cls.status || null, detail: cls.detail || null,
+      };
+      store.data.events.push(event);
+      if (store.data.events.length > 1000) store.data.events.splice(0, store.data.events.length - 1000);
+      store.save();
+
+      if (!m || !outcome) return event; // unmatched, or soft bounce (retryable): just logged
+
+      const prev = store.data.contacts[m.email];
+      // runs this contact's replies were already credited to
+      const credited = prev?.credited || [];
+      if (outcome === 'replied') {
+        if (credited.includes(m.jobId || null)) event.repeat = true;
+        else credited.push(m.jobId || null);
+      }
+      // an auto-reply never downgrades a real reply/bounce/unsubscribe
+      if (!(outcome === 'auto_reply' && prev && prev.outcome !== 'auto_reply')) {
+        store.data.contacts[m.email] = { outcome, at: event.at, messageId: msg.messageId, subject: event.subject, ...(credited.length ? { credited } : {}) };
+      }
+      const { email: _e, by: _b, ...meta } = m;
+      onOutcome(m.email, outcome, event, meta);
+      return event;
+    },
+
+    async poll() {
+      if (!source || polling) return { ok: false, processed: 0 };
+      polling = true;
+      let processed = 0;
+      try {
+        const seen = new Set(store.data.processed);
+        for (const { key, raw } of await source.read()) {
+          const msg = parseMessage(raw);
+          const id = msg.messageId || key;
+          if (seen.has(id)) continue;
+          seen.add(id);
+          store.data.processed.push(id);
+          const ev = inbound.ingest(raw, key);
+          processed++;
+          if (ev.email) log(`📬 ${ev.type} from ${ev.email} (${ev.matchedBy})`);
+        }
+        if (store.data.processed.length > MAX_REMEMBERED) store.data.processed.splice(0, store.data.processed.length - MAX_REMEMBERED);
+        store.data.lastPollAt = Date.now();
+        store.save();
+      } finally {
+        polling = false;
+      }
+      return { ok: true, processed };
+    },
+
+    stats() {
+      const outcomes = {};
+      for (const c of Object.values(store.data.contacts)) outcomes[c.outcome] = (outcomes[c.outcome] || 0) + 1;
+      return {
+        source: source?.name || null,
+        lastPollAt: store.data.lastPollAt,
+        tracked: Object.keys(store.data.sent).length,
+        events: store.data.events.length,
+        outcomes,
+      };
+    },
+
+    events(limit = 100) {
+      return store.data.events.slice(-limit).reverse();
+    },
+
+    start(intervalMs = 300000) {
+      if (!source) return;
+      clearInterval(timer);
+      timer = setInterval(() => inbound.poll().catch(e => log(`💥 Inbound poll failed: ${e?.message || e}`)), intervalMs);
+      timer.unref?.();
+      inbound.poll().catch(e => log(`💥 Inbound poll failed: ${e?.message || e}`));
+    },
+
+    stop() { clearInterval(timer); timer = null; },
+  };
+  return inbound;
+}
@@ -0,0 +1,137 @@
+// src/jobs.js
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * On-disk job history. One directory, a few files per job:
+ *   <id>.json        parameters, stats, file link, timings, done reason, checkpoint
+ *   <id>.log.jsonl   one { ts, message } line per log entry (append-only)
+ *   <id>.state.json  resume state for runs (areas, inspected sites/emails, CSV rows so far)
+ *
+ * The live job object in server.js stays the source of truth while running;
+ * this just mirrors it so history survives restarts.
+ */
+const SAFE_ID = /^[\w-]+$/;
+
+// Only the durable bits of a live job (no timers, SSE senders, in-memory logs)
+export function jobSnapshot(id, job) {
+  return {
+    id,
+    kind: job.kind || 'run',
+    params: job.params || {},
+    stats: job.stats,
+    file: job.file,
+    done: job.done,
+    doneReason: job.doneReason || null,
+    startedAt: job.startedAt,
+    endedAt: job.endedAt || null,
+    checkpoint: job.checkpoint || null,
+    resumable: !!job.resumable,
+  };
+}
+
+export function createJobStore(dir) {
+  const timers = new Map();  // id -> debounce timer
+  const appends = new Map(); // id -> promise chain (keeps log lines in order)
+
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+  const logOf  = (id) => path.join(dir, `${id}.log.jsonl`);
+  const stateOf = (id) => path.join(dir, `${id}.state.json`);
+
+  async function write(id, record, file = fileOf(id)) {
+    try { await fs.writeFile(file, JSON.stringify(record, null, 2)); }
+    catch (e) { console.warn('[jobs] save failed:', e?.message); }
+  }
+
+  const store = {
+    async init() { await fs.mkdir(dir, { recursive: true }); },
+
+    save(id, job) {
+      clearTimeout(timers.get(id));
+      timers.set(id, setTimeout(() => { timers.delete(id); write(id, jobSnapshot(id, job)); }, 500));
+    },
+
+    async flush(id, job) {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+      await appends.get(id);
+      await write(id, jobSnapshot(id, job));
+    },
+
+    saveState(id, getState) {
+      const key = `${id}:state`;
+      clearTimeout(timers.get(key));
+      timers.set(key, setTimeout(() => { timers.delete(key); write(id, getState(), stateOf(id)); }, 500));
+    },
+
+    async flushState(id, state) {
+      const key = `${id}:state`;
+      clearTimeout(timers.get(key));
+      timers.delete(key);
+      await write(id, state, stateOf(id));
+    },
+
+    async getState(id) {
+      if (!SAFE_ID.test(String(id || ''))) return null;
+      try { return JSON.parse(await fs.readFile(stateOf(id), 'utf8')); }
+      catch { return null; }
+    },
+
+    appendLog(id, line) {
+      const prev = appends.get(id) || Promise.resolve();
+      const next = prev
+        .then(() => fs.appendFile(logOf(id), JSON.stringify(line) + '\n'))
+        .catch((e) => console.warn('[jobs] log append failed:', e?.message));
+      appends.set(id, next);
+      return next;
+    },
+
+    async get(id) {
+      if (!SAFE_ID.test(String(id || ''))) return null;
+      try { return JSON.parse(await fs.readFile(fileOf(id), 'utf8')); }
+      catch { return null; }
+    },
+
+    async readLog(id) {
+      if (!SAFE_ID.test(String(id || ''))) return [];
+      try {
+        const raw = await fs.readFile(logOf(id), 'utf8');
+        return raw.split('\n').filter(Boolean).map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+      } catch { return []; }
+    },
+
+    async list() {
+      let names = [];
+      try { names = await fs.readdir(dir); } catch { return []; }
+      const out = [];
+      for (const n of names) {
+        if (!n.endsWith('.json') || n.endsWith('.state.json')) continue;
+        const rec = await store.get(n.slice(0, -5));
+        if (rec) out.push(rec);
+      }
+      return out.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+    },
+
+    async update(id, patch) {
+      const rec = await store.get(id);
+      if (!rec) return null;
+      Object.assign(rec, patch);
+      await write(id, rec);
+      return rec;
+    },
+
+    /** Anything still "running" on boot died with the previous process. */
+    async markInterrupted() {
+      const now = Date.now();
+      const hit = [];
+      for (const rec of await store.list()) {
+        if (rec.done) continue;
+        Object.assign(rec, { done: true, doneReason: 'interrupted', endedAt: now, resumable: !!rec.checkpoint });
+        await write(rec.id, rec);
+        hit.push(rec);
+      }
+      return hit;
+    },
+  };
+  return store;
+}
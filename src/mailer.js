@@ -1,6 +1,7 @@
 // src/mailer.js
 import 'dotenv/config';
 import nodemailer from 'nodemailer';
+import { renderTemplate } from './render.js';
 
 /* ============================== Config =============================== */
 
@@ -23,10 +24,9 @@ const user   = process.env.SMTP_USER || MG_USER;
 const pass   = process.env.SMTP_PASS || MG_PASS;
 
 const DEBUG_MODE = !!(process.env.DEBUG_EMAIL && process.env.DEBUG_EMAIL !== '0');
-const MIN_INTERVAL_MS = Number(process.env.MAILER_MIN_INTERVAL_MS || 150); // soft throttle
 const MAX_RETRIES     = Number(process.env.MAILER_MAX_RETRIES || 3);
 
-/** Optional default templates used by sendProspectEmail (placeholders in {braces}). */
+/** Optional default templates used by sendProspectEmail (syntax: src/render.js). */
 const DEFAULT_SUBJECT = process.env.PROSPECT_SUBJECT || 'Quick question about {business}';
 const DEFAULT_BODY =
   process.env.PROSPECT_BODY ||
@@ -69,14 +69,6 @@ export const transporter = nodemailer.createTransport({
 
 /* ============================== Helpers ============================== */
 
-let lastSendTs = 0;
-async function throttle() {
-  const now = Date.now();
-  const wait = lastSendTs + MIN_INTERVAL_MS - now;
-  if (wait > 0) await new Promise(r => setTimeout(r, wait));
-  lastSendTs = Date.now();
-}
-
 function escapeHtml(s) {
   return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
 }
@@ -92,28 +84,20 @@ function transientSmtp(err) {
 
 function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
 
-function fill(template, ctx = {}) {
-  return String(template).replace(/\{([a-z0-9_]+)\}/gi, (_, k) => {
-    const v = ctx[k] ?? '';
-    return v == null ? '' : String(v);
-  });
-}
-
 /* ============================== Core APIs ============================ */
 
 /**
  * Low-level send. Backwards compatible with your previous signature.
+ * No pacing here: campaign mail is spaced and capped by the outbox (src/outbox.js).
  * @param {string} to
  * @param {string} subject
  * @param {string} text
- * @param {object} opts { html?, headers? }
+ * @param {object} opts { html?, headers?, unsubscribeUrl? } — unsubscribeUrl enables RFC 8058 one-click
  * @returns {Promise<{id:string,accepted:string[],rejected:string[]}>}
  */
 export async function sendEmail(to, subject, text, opts = {}) {
   if (!to) throw new Error('Missing "to"');
 
-  await throttle();
-
   // Debug mode: redirect all mail to yourself but keep original in headers
   const finalTo = DEBUG_MODE ? FROM_ADDR : to;
 
@@ -121,9 +105,12 @@ export async function sendEmail(to, subject, text, opts = {}) {
     opts.html ??
     `<pre style="font:14px/1.5 system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif">${escapeHtml(text || '')}</pre>`;
 
+  const mailtoUnsub = `<mailto:unsubscribe@${(FROM_ADDR.split('@')[1] || 'agentlyne.com')}?subject=unsubscribe>`;
   const headers = {
     'X-Mailer-App': 'lead-finder-6000',
-    'List-Unsubscribe': `<mailto:unsubscribe@${(FROM_ADDR.split('@')[1] || 'agentlyne.com')}?subject=unsubscribe>`,
+    ...(opts.unsubscribeUrl
+      ? { 'List-Unsubscribe': `<${opts.unsubscribeUrl}>, ${mailtoUnsub}`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+      : { 'List-Unsubscribe': mailtoUnsub }),
     ...(DEBUG_MODE ? { 'X-Original-To': to } : {}),
     ...(opts.headers || {})
   };
@@ -165,14 +152,17 @@ export async function sendProspectEmail(to, { biz = {}, subject, text, html, hea
   const ctx = {
     brand: BRAND,
     business: biz.name || biz.business || '',
+    company: biz.name || biz.business || '',
+    firstName: biz.firstName || '',
+    email: to,
     city: biz.city || '',
     state: biz.state || '',
     website: biz.website || biz.url || '',
     yourSite: process.env.YOUR_SITE || process.env.SENDER_SITE || '',
   };
 
-  const subj = subject || fill(DEFAULT_SUBJECT, ctx);
-  const body = text || fill(DEFAULT_BODY, ctx);
+  const subj = subject || renderTemplate(DEFAULT_SUBJECT, ctx, { seed: to });
+  const body = text || renderTemplate(DEFAULT_BODY, ctx, { seed: to });
 
   return sendEmail(to, subj, body, { html, headers });
 }
@@ -0,0 +1,225 @@
+// src/outbox.js
+import { jsonStore } from './store.js';
+import { nextOpening } from './sendwindow.js';
+
+/**
+ * Persistent outbound queue. Every campaign email (run sends, approved
+ * reviews, follow-ups) is added here and mailed by one drainer, so the caps
+ * hold across parallel runs and a restart picks up exactly where the queue was.
+ *
+ * item shape:
+ *  { id, status, to, subject, text, headers?, meta: { jobId, variant, sequenceId, ctx, company, addedToSent?, addedPlace?, ... },
+ *    window, tz, sendAt, attempts, createdAt, sentAt?, error? }
+ *
+ * status: waiting -> sent | failed | cancelled
+ *
+ * Before each send the drainer checks, in order: the recipient's send window
+ * (a late tick waits for the next opening instead of mailing at 2am), the
+ * global hourly/daily caps (the daily one ramps up during warm-up) and the
+ * gap since the last send (interval + random jitter).
+ */
+
+/* -------------------------------- Config -------------------------------- */
+
+const num = (v, dflt) => (v === undefined || v === '' ? dflt : Number(v));
+
+const DAILY_CAP    = num(process.env.SEND_DAILY_CAP, 200);  // 0 = no cap
+const HOURLY_CAP   = num(process.env.SEND_HOURLY_CAP, 50);  // 0 = no cap
+const INTERVAL_MS  = num(process.env.SEND_INTERVAL_MS, 1500);
+const JITTER_MS    = num(process.env.SEND_JITTER_MS, 1500); // extra random 0..JITTER_MS per send
+// Warm-up: the daily cap climbs from SEND_WARMUP_FROM to SEND_DAILY_CAP over SEND_WARMUP_DAYS,
+// counted from SEND_WARMUP_START (YYYY-MM-DD) or else from the first email the queue sent
+const WARMUP_DAYS  = num(process.env.SEND_WARMUP_DAYS, 0);
+const WARMUP_FROM  = num(process.env.SEND_WARMUP_FROM, 20);
+const WARMUP_START = process.env.SEND_WARMUP_START ? Date.parse(process.env.SEND_WARMUP_START) : NaN;
+
+export const OUTBOX_STATUSES = ['waiting', 'sent', 'failed', 'cancelled'];
+const MAX_ATTEMPTS = 3;
+const RETRY_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const KEEP_MS = 14 * DAY_MS; // finished items stay visible this long (and the caps count from them)
+
+/**
+ * @param {object} o
+ * @param {string} o.file JSON file for the queue
+ * @param {(item:object)=>Promise<{id:string}>} o.send mails one item
+ * @param {(item:object)=>true|string} [o.canSend] checked right before each send: true, or why the item is dropped
+ * @param {(item:object, result:object)=>void} [o.onSent]
+ * @param {(item:object)=>void} [o.onDropped] failed for good or cancelled
+ * @param {(msg:string)=>void} [o.log]
+ */
+export function createOutbox({ file, send, canSend = () => true, onSent = () => {}, onDropped = () => {}, log = () => {} }) {
+  const store = jsonStore(file, { fallback: () => ({ items: [], warmupStartedAt: null }), label: 'outbox' });
+  const items = () => store.data.items;
+  const find = (id) => items().find(it => it.id === id) || null;
+
+  let ticking = false;
+  let again = false;     // items arrived while draining
+  let timer = null;
+  let gapUntil = 0;      // no send before this (interval + jitter after the previous one)
+  let pausedUntil = 0;   // cap reached; logged once per pause
+
+  const drop = (it, status, error) => {
+    Object.assign(it, { status, error: error || it.error || null, finishedAt: Date.now() });
+    onDropped(it);
+  };
+
+  const sentSince = (t) => items().filter(it => it.status === 'sent' && it.sentAt > t).map(it => it.sentAt).sort((a, b) => a - b);
+
+  const box = {
+    async load() {
+      await store.load();
+      if (Array.isArray(store.data)) store.data = { items: store.data, warmupStartedAt: null }; // queue files before the caps
+      store.data.items ||= [];
+    },
+    flush: () => store.flush(),
+
+    list({ status, jobId } = {}) {
+      return items().filter(it => (!status || it.status === status) && (!jobId || it.meta?.jobId === jobId));
+    },
+
+    get: find,
+
+    counts() {
+      return items().reduce((acc, it) => { acc[it.status] = (acc[it.status] || 0) + 1; return acc; }, {});
+    },
+
+    // true if this address is already waiting to be mailed
+    hasWaiting(email) {
+      const key = String(email || '').toLowerCase();
+      return items().some(it => it.status === 'waiting' && it.to.toLowerCase() === key);
+    },
+
+    add({ to, subject, text, headers, meta = {}, window = null, tz = null, sendAt = Date.now() }) {
+      const now = Date.now();
+      const item = {
+        id: `out-${now}-${Math.random().toString(36).slice(2, 8)}`,
+        status: 'waiting',
+        to, subject, text, ...(headers ? { headers } : {}), meta, window, tz, sendAt,
+        attempts: 0,
+        createdAt: now,
+      };
+      items().push(item);
+      store.save();
+      if (sendAt <= now) box.kick();
+      return item;
+    },
+
+    cancel(id, reason = 'Cancelled by user') {
+      const it = find(id);
+      if (!it || it.status !== 'waiting') return null;
+      drop(it, 'cancelled', reason);
+      store.save();
+      return it;
+    },
+
+    /* ------------------------------- Limits ------------------------------- */
+    /** Today's cap: SEND_DAILY_CAP, or where the warm-up ramp is. */
+    dailyCap(now = Date.now()) {
+      if (!(WARMUP_DAYS > 0)) return DAILY_CAP;
+      const start = Number.isFinite(WARMUP_START) ? WARMUP_START : store.data.warmupStartedAt;
+      const day = start ? Math.max(0, Math.floor((now - start) / DAY_MS)) : 0;
+      if (day >= WARMUP_DAYS) return DAILY_CAP;
+      return Math.round(WARMUP_FROM + (DAILY_CAP - WARMUP_FROM) * day / WARMUP_DAYS);
+    },
+
+    /** Rolling hour/24h counts against the caps, and when the next send may go. */
+    limits(now = Date.now()) {
+      const day = sentSince(now - DAY_MS);
+      const hour = day.filter(t => t > now - HOUR_MS);
+      const dayCap = box.dailyCap(now);
+      let nextSlotAt = now;
+      if (dayCap > 0 && day.length >= dayCap) nextSlotAt = Math.max(nextSlotAt, day[day.length - dayCap] + DAY_MS);
+      if (HOURLY_CAP > 0 && hour.length >= HOURLY_CAP) nextSlotAt = Math.max(nextSlotAt, hour[hour.length - HOURLY_CAP] + HOUR_MS);
+      const start = Number.isFinite(WARMUP_START) ? WARMUP_START : store.data.warmupStartedAt;
+      return {
+        sentLastHour: hour.length, hourlyCap: HOURLY_CAP,
+        sentLastDay: day.length, dailyCap: dayCap, fullDailyCap: DAILY_CAP,
+        warmup: WARMUP_DAYS > 0 ? { day: start ? Math.floor((now - start) / DAY_MS) + 1 : 1, days: WARMUP_DAYS, from: WARMUP_FROM } : null,
+        nextSlotAt,
+      };
+    },
+
+    /* ------------------------------ Sending ------------------------------- */
+    due(now = Date.now()) {
+      return items().filter(it => it.status === 'waiting' && it.sendAt <= now).sort((a, b) => a.sendAt - b.sendAt);
+    },
+
+    // Drain soon (new mail); a drain already running picks it up when it finishes its list
+    kick() {
+      if (ticking) { again = true; return; }
+      setTimeout(() => box.tick().catch(e => log(`💥 Outbox tick failed: ${e?.message || e}`)), 0);
+    },
+
+    async tick() {
+      if (ticking) { again = true; return 0; }
+      ticking = true;
+      let sent = 0;
+      try {
+        do {
+          again = false;
+          for (const it of box.due()) {
+            if (it.status !== 'waiting') continue; // cancelled while we were sending others
+            const now = Date.now();
+            const opens = it.window ? nextOpening(it.window, it.tz, now) : now;
+            if (opens == null) { drop(it, 'failed', 'Send window has no days'); store.save(); continue; }
+            if (opens > now) { it.sendAt = opens; store.save(); continue; }
+            const ok = canSend(it);
+            if (ok !== true) { drop(it, 'cancelled', ok || 'Not allowed'); store.save(); continue; }
+
+            const { nextSlotAt, sentLastDay, dailyCap, sentLastHour } = box.limits(now);
+            if (nextSlotAt > now) {
+              if (pausedUntil < now) log(`⏸️ Send cap reached (${sentLastDay}/${dailyCap} today, ${sentLastHour}/${HOURLY_CAP || '∞'} this hour); next send ${new Date(nextSlotAt).toLocaleString()}`);
+              pausedUntil = nextSlotAt;
+              again = false;
+              break;
+            }
+
+            if (gapUntil > Date.now()) await new Promise(r => setTimeout(r, gapUntil - Date.now()));
+            if (it.status !== 'waiting') continue;
+            try {
+              it.attempts++;
+              const r = await send(it);
+              Object.assign(it, { status: 'sent', sentAt: Date.now(), messageId: r?.id || null, error: null });
+              store.data.warmupStartedAt ||= it.sentAt;
+              sent++;
+              onSent(it, r);
+            } catch (e) {
+              it.error = String(e?.message || e).slice(0, 200);
+              log(`❌ Send to ${it.to} failed (${it.attempts}/${MAX_ATTEMPTS}): ${it.error}`);
+              if (it.attempts >= MAX_ATTEMPTS) drop(it, 'failed');
+              else it.sendAt = Date.now() + RETRY_MS;
+            }
+            gapUntil = Date.now() + INTERVAL_MS + Math.floor(Math.random() * JITTER_MS);
+            store.save();
+          }
+        } while (again);
+        box.prune();
+      } finally {
+        ticking = false;
+      }
+      return sent;
+    },
+
+    prune(now = Date.now()) {
+      const keep = items().filter(it => it.status === 'waiting' || (it.sentAt || it.finishedAt || it.createdAt) > now - KEEP_MS);
+      if (keep.length === items().length) return 0;
+      const gone = items().length - keep.length;
+      store.data.items = keep;
+      store.save();
+      return gone;
+    },
+
+    start(intervalMs = 60000) {
+      clearInterval(timer);
+      timer = setInterval(() => box.tick().catch(e => log(`💥 Outbox tick failed: ${e?.message || e}`)), intervalMs);
+      timer.unref?.();
+      return box.tick();
+    },
+
+    stop() { clearInterval(timer); timer = null; },
+  };
+
+  return box;
+}
@@ -1,8 +1,17 @@
 // src/places.js (ESM)
+// Checked per call, not at import: a server without a key can still run other lead sources
 const API_KEY = process.env.GOOGLE_PLACES_KEY;
-if (!API_KEY) throw new Error('Missing GOOGLE_PLACES_KEY in .env');
+export const placesConfigured = () => !!API_KEY;
 
-const PLACES_SEARCH_URL = 'https://places.googleapis.com/v1/places:searchText';
+// Override to point at a local mock of searchText (tests, offline dev)
+const PLACES_SEARCH_URL = process.env.PLACES_SEARCH_URL || 'https://places.googleapis.com/v1/places:searchText';
+
+// Opt-in (per call or PLACES_EXTENDED=1): these bill at the Pro/Enterprise SKUs
+const EXTENDED_FIELDS = [
+  'rating', 'userRatingCount', 'nationalPhoneNumber', 'businessStatus', 'types',
+  'regularOpeningHours', 'googleMapsUri', 'addressComponents',
+];
+const EXTENDED_DEFAULT = String(process.env.PLACES_EXTENDED || '').match(/^(1|true|yes)$/i);
 
 // Small utility: parse "City, ST ..." out of a formatted address
 function cityStateFromFormatted(addr = '') {
@@ -28,18 +37,39 @@ function cityStateFromFormatted(addr = '') {
   return { city, state };
 }
 
+// Structured address (extended mask) beats the comma heuristic whenever it's there
+function fromComponents(components = []) {
+  const get = (type, key = 'longText') => components.find(c => c.types?.includes(type))?.[key] || '';
+  return {
+    city: get('locality') || get('postal_town') || get('sublocality') || get('administrative_area_level_2'),
+    state: get('administrative_area_level_1', 'shortText'),
+    postalCode: get('postal_code'),
+    country: get('country', 'shortText'),
+  };
+}
+
 /**
  * Fetch ONE page of Places results for a text query.
  * Returns { items, nextCursor }.
  *
  * items[i] shape:
- *  { name, website, url, address, city, state }
+ *  { placeId, name, website, url, address, city, state }
+ *  + rating / reviewCount / businessStatus when asked for via `fields`
+ *    ('rating', 'userRatingCount', 'businessStatus'; these bill at a higher SKU)
+ *  + with `extended`: rating, reviewCount, phone, businessStatus, types, hours,
+ *    mapsUrl, postalCode, country, and city/state from address components
+ *
+ * `rectangle` ({ low: {latitude, longitude}, high: {...} }) restricts results to that box;
+ * `signal` aborts the request (job cancelled).
  */
-export async function fetchBusinessesPage({ query, cursor = null, pageSize = 20 }) {
+export async function fetchBusinessesPage({ query, cursor = null, pageSize = 20, fields = [], extended = EXTENDED_DEFAULT, rectangle = null, signal }) {
+  if (!API_KEY) throw new Error('Missing GOOGLE_PLACES_KEY in .env');
+  const wanted = [...new Set([...fields, ...(extended ? EXTENDED_FIELDS : [])])];
   const body = {
     textQuery: String(query || '').trim(),
     pageSize: Math.min(20, Math.max(1, pageSize)),
     pageToken: cursor || undefined,
+    locationRestriction: rectangle ? { rectangle } : undefined,
   };
 
   const resp = await fetch(PLACES_SEARCH_URL, {
@@ -53,10 +83,13 @@ export async function fetchBusinessesPage({ query, cursor = null, pageSize = 20
         'places.displayName',
         'places.websiteUri',
         'places.formattedAddress',
+        'places.location', // for the recipient's time zone (send windows)
+        ...wanted.map(f => `places.${f}`),
         'nextPageToken',
       ].join(','),
     },
     body: JSON.stringify(body),
+    signal,
   });
 
   if (!resp.ok) {
@@ -71,15 +104,31 @@ export async function fetchBusinessesPage({ query, cursor = null, pageSize = 20
     const name    = p.displayName?.text || p.displayName || '';
     const website = p.websiteUri || '';
     const addr    = p.formattedAddress || '';
-    const { city, state } = cityStateFromFormatted(addr);
+    const parsed = p.addressComponents?.length ? fromComponents(p.addressComponents) : {};
+    const guess = cityStateFromFormatted(addr);
+    const city  = parsed.city || guess.city;
+    const state = parsed.state || guess.state;
 
     return {
+      placeId: p.id || '',
       name,
       website,
       url: website,     // alias used by our runner/enricher
       address: addr,
       city,
       state,
+      ...(p.location ? { lat: p.location.latitude, lng: p.location.longitude } : {}),
+      ...(p.rating !== undefined || wanted.includes('rating') ? { rating: p.rating ?? null } : {}), // null: asked for, not rated yet
+      ...(wanted.includes('userRatingCount') ? { reviewCount: p.userRatingCount ?? 0 } : {}),
+      ...(p.businessStatus ? { businessStatus: p.businessStatus } : {}),
+      ...(extended ? {
+        phone: p.nationalPhoneNumber || '',
+        types: p.types || [],
+        hours: (p.regularOpeningHours?.weekdayDescriptions || []).join('; '),
+        mapsUrl: p.googleMapsUri || '',
+        postalCode: parsed.postalCode || '',
+        country: parsed.country || '',
+      } : {}),
     };
   });
 
@@ -106,7 +155,7 @@ export async function findBusinesses(city, niche, max = 300) {
     if (!items.length) break;
 
     for (const it of items) {
-      out.push({ name: it.name, website: it.website });
+      out.push({ placeId: it.placeId, name: it.name, website: it.website });
       if (out.length >= max) break;
     }
 
@@ -117,11 +166,11 @@ export async function findBusinesses(city, niche, max = 300) {
     await new Promise(r => setTimeout(r, 200));
   }
 
-  // de-dup by website (fallback to name)
+  // de-dup by place ID (fallback to website, then name)
   const seen = new Set();
   const deduped = [];
   for (const r of out) {
-    const key = (r.website || r.name).toLowerCase();
+    const key = r.placeId || (r.website || r.name).toLowerCase();
     if (seen.has(key)) continue;
     seen.add(key);
     deduped.push(r);
@@ -0,0 +1,117 @@
+// src/qualify.js
+import { TECH_NAMES } from './enrich.js';
+
+/**
+ * Per-run lead qualification. Listing rules run on the Places result before
+ * we crawl anything; feature rules run on the enrichment profile afterwards.
+ *
+ * rules: {
+ *   minRating?: number, minReviews?: number, operationalOnly?: boolean,
+ *   requireData?: boolean,            // see below
+ *   excludeChains?: boolean,          // built-in list of national chains/franchises
+ *   excludeNames?: string[],          // "*" wildcards, case-insensitive, matched anywhere in the name
+ *   require?: string[], forbid?: string[]   // booking | chat | cms | phone | socials | hours | a tech name ("Calendly")
+ * }
+ * Missing listing data (no rating, review count or business status: file imports,
+ * Overpass, Places runs that didn't fetch them) passes minRating, minReviews and operationalOnly alike, unless
+ * requireData is set, in which case it fails them.
+ * A miss is { rule, detail }, e.g. { rule: 'min_rating', detail: 'rating 3.9 < 4.2' }.
+ */
+
+const CHAINS = [
+  'aspen dental', 'western dental', 'heartland dental', 'bright now', 'coast dental', 'smile brands', 'comfort dental',
+  'great clips', 'supercuts', 'sport clips', 'fantastic sams', 'massage envy', 'hand & stone', 'european wax center',
+  'the joint chiropractic', 'planet fitness', 'anytime fitness', 'orangetheory',
+  'jiffy lube', 'valvoline', 'midas', 'meineke', 'firestone', 'pep boys',
+  'roto-rooter', 'mr. rooter', 'mr rooter', 'servicemaster', 'servpro', 'terminix', 'orkin', 'mr. handyman', 'molly maid',
+  'h&r block', 'jackson hewitt', 'state farm', 'allstate', 'farmers insurance', 'edward jones',
+  'banfield', 'vca animal', 'petsmart', 'petco',
+];
+
+export const FEATURES = ['booking', 'chat', 'cms', 'phone', 'socials', 'hours'];
+
+const wildcard = (p) => new RegExp(p.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*'), 'i');
+const list = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+
+/** Validate what the dashboard/API sent. Throws on nonsense; returns null when no rules are set. */
+export function cleanRules(input) {
+  if (!input || typeof input !== 'object') return null;
+  const num = (v, name, max) => {
+    if (v === undefined || v === null || v === '') return undefined;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > max) throw new Error(`${name} must be between 0 and ${max}`);
+    return n;
+  };
+  const rules = {
+    minRating: num(input.minRating, 'minRating', 5),
+    minReviews: num(input.minReviews, 'minReviews', 1e6),
+    operationalOnly: !!input.operationalOnly || undefined,
+    requireData: !!input.requireData || undefined,
+    excludeChains: !!input.excludeChains || undefined,
+    excludeNames: list(input.excludeNames).map(s => s.toLowerCase()),
+    require: list(input.require).map(s => s.toLowerCase()),
+    forbid: list(input.forbid).map(s => s.toLowerCase()),
+  };
+  const known = new Set([...FEATURES, ...TECH_NAMES.map(n => n.toLowerCase())]);
+  for (const f of [...rules.require, ...rules.forbid]) if (!known.has(f)) throw new Error(`Unknown feature "${f}"`);
+  for (const k of Object.keys(rules)) if (rules[k] === undefined || (Array.isArray(rules[k]) && !rules[k].length)) delete rules[k];
+  return Object.keys(rules).length ? rules : null;
+}
+
+/** Extra Places fields the listing rules need (so plain runs don't pay for them). */
+export function placesFieldsFor(rules) {
+  if (!rules) return [];
+  const out = [];
+  if (rules.minRating !== undefined) out.push('rating');
+  if (rules.minReviews !== undefined) out.push('userRatingCount');
+  if (rules.operationalOnly) out.push('businessStatus');
+  return out;
+}
+
+/** Rules that only need the Places listing. */
+export function checkListing(lead = {}, rules) {
+  if (!rules) return null;
+  const name = String(lead.name || '');
+
+  // unknown values pass unless the run asked for the data (requireData); a Places listing
+  // fetched with these fields has them (rating null = not rated yet), so it isn't unknown
+  const known = (v) => v !== undefined && v !== '';
+  const unknown = (v) => !known(v) && !rules.requireData;
+
+  if (rules.operationalOnly && !unknown(lead.businessStatus) && lead.businessStatus !== 'OPERATIONAL') {
+    return { rule: 'operational_only', detail: `status ${lead.businessStatus || 'unknown'}` };
+  }
+  if (rules.minRating !== undefined && !unknown(lead.rating) && !(Number(lead.rating) >= rules.minRating)) {
+    return { rule: 'min_rating', detail: `rating ${known(lead.rating) ? lead.rating ?? 'none' : 'unknown'} < ${rules.minRating}` };
+  }
+  if (rules.minReviews !== undefined && !unknown(lead.reviewCount) && !(Number(lead.reviewCount) >= rules.minReviews)) {
+    return { rule: 'min_reviews', detail: `${known(lead.reviewCount) ? lead.reviewCount : 'unknown'} reviews < ${rules.minReviews}` };
+  }
+  if (rules.excludeChains) {
+    const lower = name.toLowerCase();
+    const chain = CHAINS.find(c => lower.includes(c));
+    if (chain) return { rule: 'exclude_chains', detail: `chain "${chain}"` };
+  }
+  for (const p of rules.excludeNames || []) {
+    if (wildcard(p).test(name)) return { rule: 'exclude_names', detail: `name matches "${p}"` };
+  }
+  return null;
+}
+
+function hasFeature(profile = {}, f) {
+  switch (f) {
+    case 'booking': case 'chat': case 'cms': return !!profile.tech?.[f]?.length;
+    case 'phone': return !!profile.phones?.length;
+    case 'socials': return !!profile.socials?.length;
+    case 'hours': return !!profile.hours;
+    default: return Object.values(profile.tech || {}).flat().some(n => n.toLowerCase() === f);
+  }
+}
+
+/** Rules that need the crawled site (see `profile` from findEmailCandidates). */
+export function checkProfile(profile, rules) {
+  if (!rules) return null;
+  for (const f of rules.require || []) if (!hasFeature(profile, f)) return { rule: 'require', detail: `no ${f}` };
+  for (const f of rules.forbid || []) if (hasFeature(profile, f)) return { rule: 'forbid', detail: `has ${f}` };
+  return null;
+}
@@ -0,0 +1,178 @@
+// src/render.js
+/**
+ * The one template engine (server runs, sequences, review queue, mailer).
+ *
+ *   {company}                      field
+ *   {firstName|there}              field with fallback when empty
+ *   {Hi|Hey|Hello}                 spintax: one option per recipient
+ *   {#if website}…{else}…{/if}     conditional on a field being non-empty
+ *   {#unless state}…{/unless}      inverse conditional
+ *
+ * `{a|b}` is a fallback when `a` is a known field, spintax otherwise.
+ * Braces that don't look like a tag (e.g. "{ }") are left as-is.
+ */
+
+export const TEMPLATE_FIELDS = [
+  'company', 'business', 'brand', 'firstName', 'lastName', 'contactName', 'role',
+  'city', 'area', 'state', 'address', 'website', 'email', 'phone',
+  'niche', 'query', 'yourSite', 'unsubscribeUrl',
+];
+
+// What a bare {field} prints when the lead doesn't have it (fallbacks override)
+export const FIELD_DEFAULTS = { firstName: 'there', company: 'your business', business: 'your business' };
+
+const FIELD_SET = new Set(TEMPLATE_FIELDS);
+const IDENT = /^[A-Za-z_]\w*$/;
+
+/* -------------------------------- Parser --------------------------------- */
+
+class TemplateError extends Error {}
+
+function parse(src) {
+  let i = 0;
+
+  function text(nodes, s) {
+    if (!s) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') last.value += s; else nodes.push({ type: 'text', value: s });
+  }
+
+  // inBrace: stop at | or }; inBlock: stop at {else} / {/if} / {/unless}
+  function seq({ inBrace = false, inBlock = false } = {}) {
+    const nodes = [];
+    while (i < src.length) {
+      const ch = src[i];
+      if (inBrace && (ch === '|' || ch === '}')) return nodes;
+
+      if (ch === '{') {
+        const rest = src.slice(i);
+        const open = /^\{#(if|unless)\s+([A-Za-z_]\w*)\s*\}/.exec(rest);
+        if (open) {
+          i += open[0].length;
+          const then = seq({ inBlock: true });
+          let other = [];
+          if (src.startsWith('{else}', i)) { i += 6; other = seq({ inBlock: true }); }
+          const close = `{/${open[1]}}`;
+          if (!src.startsWith(close, i)) throw new TemplateError(`Missing ${close} for {#${open[1]} ${open[2]}}`);
+          i += close.length;
+          nodes.push({ type: 'if', negate: open[1] === 'unless', name: open[2], then, other });
+          continue;
+        }
+        if (/^\{(else|\/if|\/unless)\}/.test(rest)) {
+          if (inBlock) return nodes;
+          throw new TemplateError(`Unexpected ${/^\{[^}]*\}/.exec(rest)[0]}`);
+        }
+
+        i++;
+        const alts = [];
+        for (;;) {
+          alts.push(seq({ inBrace: true }));
+          if (src[i] === '|') { i++; continue; }
+          if (src[i] === '}') { i++; break; }
+          throw new TemplateError('Unclosed {');
+        }
+        nodes.push(braceNode(alts));
+        continue;
+      }
+
+      let j = i;
+      while (j < src.length && src[j] !== '{' && !(inBrace && (src[j] === '|' || src[j] === '}'))) j++;
+      text(nodes, src.slice(i, j));
+      i = j;
+    }
+    return nodes;
+  }
+
+  const plain = (alt) => (alt.length === 1 && alt[0].type === 'text' ? alt[0].value : alt.length === 0 ? '' : null);
+
+  function braceNode(alts) {
+    const head = plain(alts[0]);
+    const name = head?.trim();
+    if (alts.length === 1) {
+      if (name && IDENT.test(name)) return { type: 'field', name, fallback: null };
+      return { type: 'literal', alts };
+    }
+    if (name && FIELD_SET.has(name)) {
+      // rejoin the rest so "{firstName|there|friend}" falls back to "there|friend"
+      const fallback = alts.slice(1).flatMap((a, k) => (k ? [{ type: 'text', value: '|' }, ...a] : a));
+      return { type: 'field', name, fallback };
+    }
+    return { type: 'spin', options: alts };
+  }
+
+  const nodes = seq();
+  if (i < src.length) throw new TemplateError(`Unexpected "${src[i]}"`);
+  return nodes;
+}
+
+/* ------------------------------- Renderer -------------------------------- */
+
+// Small deterministic PRNG so one recipient always gets the same spin
+function seeded(seed) {
+  let h = 2166136261;
+  for (const c of String(seed)) h = Math.imul(h ^ c.charCodeAt(0), 16777619);
+  return () => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^= h >>> 16) >>> 0) / 4294967296;
+  };
+}
+
+const filled = (v) => v != null && String(v).trim() !== '';
+
+function walk(nodes, ctx, rand) {
+  let out = '';
+  for (const n of nodes) {
+    if (n.type === 'text') out += n.value;
+    else if (n.type === 'field') {
+      const v = ctx[n.name];
+      if (filled(v)) out += String(v);
+      else if (n.fallback) out += walk(n.fallback, ctx, rand);
+      else out += FIELD_DEFAULTS[n.name] ?? '';
+    } else if (n.type === 'spin') {
+      out += walk(n.options[Math.floor(rand() * n.options.length)], ctx, rand);
+    } else if (n.type === 'if') {
+      out += walk(filled(ctx[n.name]) !== n.negate ? n.then : n.other, ctx, rand);
+    } else if (n.type === 'literal') {
+      out += '{' + n.alts.map(a => walk(a, ctx, rand)).join('|') + '}';
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {string} template
+ * @param {object} ctx   field values (see TEMPLATE_FIELDS)
+ * @param {{seed?: string}} [opts] seed spintax (e.g. with the recipient email) for stable output
+ */
+export function renderTemplate(template, ctx = {}, { seed } = {}) {
+  const src = String(template ?? '');
+  let nodes;
+  try { nodes = parse(src); }
+  catch { return src; } // never block a send on a template that slipped past validation
+  return walk(nodes, ctx, seed != null ? seeded(seed) : Math.random);
+}
+
+/** @returns {string[]} problems (empty when the template is fine) */
+export function validateTemplate(template, { fields = TEMPLATE_FIELDS } = {}) {
+  const allowed = new Set(fields);
+  let nodes;
+  try { nodes = parse(String(template ?? '')); }
+  catch (e) { return [e.message]; }
+
+  const errors = [];
+  const visit = (list) => {
+    for (const n of list) {
+      if (n.type === 'field') {
+        if (!allowed.has(n.name)) errors.push(`Unknown field {${n.name}}`);
+        if (n.fallback) visit(n.fallback);
+      } else if (n.type === 'if') {
+        if (!allowed.has(n.name)) errors.push(`Unknown field in {#${n.negate ? 'unless' : 'if'} ${n.name}}`);
+        visit(n.then); visit(n.other);
+      } else if (n.type === 'spin') n.options.forEach(visit);
+      else if (n.type === 'literal') n.alts.forEach(visit);
+    }
+  };
+  visit(nodes);
+  return [...new Set(errors)];
+}
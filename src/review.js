@@ -0,0 +1,87 @@
+// src/review.js
+import { jsonStore } from './store.js';
+
+/**
+ * Persistent review queue: leads parked after enrichment until a human
+ * approves, edits or rejects them. Only approved items get mailed.
+ *
+ * item shape:
+ *  { id, jobId, status, company, area, website, email, subject, body,
+ *    sendWindow?, tz?, createdAt, updatedAt, sentAt?, error? }
+ *
+ * status: pending -> approved | rejected -> outbox -> sent | send_failed
+ */
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'outbox', 'sent', 'send_failed'];
+const EDITABLE = ['email', 'subject', 'body', 'company', 'area', 'website'];
+
+export function createReviewQueue(file) {
+  const store = jsonStore(file, { fallback: () => [], label: 'review' });
+  const items = () => store.data;
+  const find = (id) => items().find(it => it.id === id) || null;
+
+  return {
+    load: () => store.load(),
+    flush: () => store.flush(),
+
+    list({ status } = {}) {
+      return status ? items().filter(it => it.status === status) : items().slice();
+    },
+
+    get: find,
+
+    // true if this address is already parked and not yet decided/sent
+    hasOpen(email) {
+      const key = String(email || '').toLowerCase();
+      return items().some(it => it.email.toLowerCase() === key && ['pending', 'approved', 'outbox'].includes(it.status));
+    },
+
+    add(lead) {
+      const now = Date.now();
+      const item = {
+        id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now,
+        ...lead,
+      };
+      items().push(item);
+      store.save();
+      return item;
+    },
+
+    update(id, patch = {}) {
+      const it = find(id);
+      if (!it) return null;
+      for (const k of EDITABLE) if (typeof patch[k] === 'string') it[k] = patch[k].trim();
+      it.updatedAt = Date.now();
+      store.save();
+      return it;
+    },
+
+    setStatus(ids, status, extra = {}) {
+      const want = new Set([].concat(ids));
+      const changed = [];
+      for (const it of items()) {
+        if (!want.has(it.id)) continue;
+        Object.assign(it, extra, { status, updatedAt: Date.now() });
+        changed.push(it);
+      }
+      if (changed.length) store.save();
+      return changed;
+    },
+
+    remove(id) {
+      const idx = items().findIndex(it => it.id === id);
+      if (idx < 0) return false;
+      items().splice(idx, 1);
+      store.save();
+      return true;
+    },
+
+    counts() {
+      const out = Object.fromEntries(REVIEW_STATUSES.map(s => [s, 0]));
+      for (const it of items()) out[it.status] = (out[it.status] || 0) + 1;
+      return out;
+    },
+  };
+}
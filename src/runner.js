@@ -1,89 +1,145 @@
 // src/runner.js
 
-// Streams business results across many pages (and optional fallback queries)
+/**
+ * The lead pipeline. Every run (dashboard, import, CLI, schedules) goes
+ * through runJob, so they all behave the same:
+ *
+ *   source → filter → enrich → verify → dedupe → send → record
+ *
+ * The engine owns the order, concurrency, cancellation and stopping at the
+ * goal; the caller supplies what each stage does (see runJob).
+ */
+
+export const STAGES = ['filter', 'enrich', 'verify', 'dedupe', 'send', 'record'];
+
+/** Run async task thunks with at most `limit` in flight; a throwing task doesn't stop the rest. */
+export async function runPool(tasks, limit = 6) {
+  const q = tasks.slice();
+  const workers = Array.from({ length: Math.min(limit, q.length || 0) }, async () => {
+    while (q.length) { const t = q.shift(); try { await t(); } catch {} }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Source: pages of businesses for a list of text searches, resumable.
+ *
+ * searches: [{ area, query, ...anything to echo into checkpoints (e.g. areaIndex, queryIndex) }]
+ * resume:   a checkpoint from an earlier attempt of this pass; searches before it are skipped
+ *           and its search restarts at the saved cursor
+ * Yields { items, area, query, page }.
+ *
+ * Paging is bounded so a broad niche over many areas can't run up the Places bill:
+ * SEARCH_PAGES_PER_QUERY per search, SEARCH_TOTAL_PAGES per stream (on.limit is
+ * called when that one stops it) and SEARCH_PAGE_DELAY_MS between pages.
+ */
 export async function* leadStream({
-  primaryQuery,
-  fallbackQueries = [],
-  fetchBusinessesPage,      // fn({ query, cursor }) -> { items, nextCursor }
+  pass = 'primary',
+  searches,
+  fetchPage,                // fn({ query, area, cursor }) -> { items, nextCursor }
+  resume = null,
+  signal,
+  checkpoint = () => {},    // called before every fetch with { pass, ...search, cursor, page }
+  on = {},                  // hooks: search(s), empty(s, pages), error(e, s), limit(totalPages)
   maxPagesPerQuery = Number(process.env.SEARCH_PAGES_PER_QUERY || 8),
-  maxTotalPages     = Number(process.env.SEARCH_TOTAL_PAGES || 40),
-  perPageDelayMs    = Number(process.env.SEARCH_PAGE_DELAY_MS || 400),
+  maxTotalPages    = Number(process.env.SEARCH_TOTAL_PAGES || 40),
+  perPageDelayMs   = Number(process.env.SEARCH_PAGE_DELAY_MS || 400),
 }) {
-  const queries = [primaryQuery, ...fallbackQueries];
+  let skipping = !!resume;
   let totalPages = 0;
+  for (const s of searches) {
+    if (signal?.aborted) return;
+    const here = resume && sameSearch(s, resume);
+    if (skipping && !here) continue;
+    skipping = false;
 
-  for (const q of queries) {
-    let cursor = null;
-    let pages  = 0;
-
-    while (pages < maxPagesPerQuery && totalPages < maxTotalPages) {
-      const pack = await fetchBusinessesPage({ query: q, cursor }).catch(() => null);
-      const items = pack?.items || [];
-      const nextCursor = pack?.nextCursor ?? null;
+    on.search?.(s);
+    let cursor = here ? resume.cursor || null : null;
+    let page = here ? resume.page || 0 : 0;
 
-      if (!items.length) break;
+    while (!signal?.aborted && page < maxPagesPerQuery) {
+      if (totalPages >= maxTotalPages) { on.limit?.(totalPages); return; }
+      checkpoint({ pass, ...s, cursor, page });
+      let res;
+      try { res = await fetchPage({ query: s.query, area: s.area, cursor, signal }); }
+      catch (e) { if (!signal?.aborted) on.error?.(e, s); break; }
 
-      for (const biz of items) yield { ...biz, _q: q, _page: pages };
-
-      cursor = nextCursor;
-      pages++;
+      const items = res?.items || [];
+      cursor = res?.nextCursor || null;
+      page++;
       totalPages++;
+      if (!items.length) { on.empty?.(s, page - 1); break; }
+
+      yield { items, area: s.area, query: s.query, page };
       if (!cursor) break;
-      if (perPageDelayMs) await new Promise(r => setTimeout(r, perPageDelayMs));
+      if (perPageDelayMs > 0) await new Promise(r => setTimeout(r, perPageDelayMs));
     }
   }
 }
 
+const sameSearch = (s, cp) =>
+  ('areaIndex' in cp ? s.areaIndex === cp.areaIndex && s.queryIndex === cp.queryIndex : s.area === cp.area && s.query === cp.query);
+
 /**
- * Run a prospecting job until we actually SEND `want` emails (or exhaust results / caps).
+ * Run passes of pages through the stages until the sources run dry, the goal
+ * is reached or the signal aborts.
+ *
+ * @param {object} o
+ * @param {{ name:string, when?:()=>boolean, pages:()=>AsyncIterable<{items:any[], area?:string, query?:string, page?:number}> }[]} o.passes
+ *   e.g. a primary search then a shortfall fallback; `when` is checked as the pass is reached.
+ * @param {Record<string, (lead:object)=>any>} o.stages  one function per STAGES entry (missing = pass through).
+ *   Each gets the lead ({ biz, area, query, pass }) and may add to it (contact, email, verification, …).
+ *   Returning false drops the lead there; the stage does its own logging.
+ * @param {string} [o.resumePass] start at this pass (earlier ones finished in a previous attempt)
+ * @param {AbortSignal} [o.signal]
+ * @param {()=>boolean} [o.isDone] goal reached (e.g. send cap). Checked again before every stage, so
+ *   leads already in flight stop once it's met; a send stage that books its slot before its first
+ *   await can't overshoot. A lead that got through send always gets its record stage.
+ * @param {number} [o.maxInspected] stop taking new leads after this many (MAX_INSPECTED, safety guard)
+ * @param {number} [o.concurrency]
+ * @param {object} [o.on] hooks: pass(p), page(pg, p), pageDone(pg, p), drop(lead, stage), error(e, lead, stage)
+ * @returns {Promise<{ doneBecause:'cancelled'|'goal_reached'|'inspect_limit'|'exhausted_results', found:number, dropped:Record<string,number>, completed:number }>}
  */
 export async function runJob({
-  query,                       // e.g., "Orthodontist in Raleigh"
-  want = 25,                   // target sends
-  fetchBusinessesPage,         // from src/places.js
-  findEmailOnSite,             // from src/enrich.js
-  sendEmail,                   // from src/mailer.js
-  fallbackQueries = [],        // optional “near …” variations
-  log = () => {},              // logger function
+  passes,
+  stages = {},
+  resumePass = null,
+  signal,
+  isDone = () => false,
+  maxInspected = Number(process.env.MAX_INSPECTED || 500),
+  concurrency = Number(process.env.LEAD_CONCURRENCY || 6),
+  on = {},
 }) {
-  const caps = {
-    maxInspected: Number(process.env.MAX_INSPECTED || 500), // safety guard
-  };
-
-  let found = 0, withEmail = 0, sent = 0, skipped = 0, inspected = 0;
-
-  for await (const biz of leadStream({
-    primaryQuery: query,
-    fallbackQueries,
-    fetchBusinessesPage,
-  })) {
-    if (sent >= want) break;                 // << stop when we hit the goal
-    if (inspected >= caps.maxInspected) break;
+  const counts = { found: 0, completed: 0, dropped: Object.fromEntries(STAGES.map(s => [s, 0])) };
+  const inspectLimit = () => counts.found >= maxInspected;
+  const stopped = () => signal?.aborted || isDone() || inspectLimit();
 
-    inspected++;
-    found++;
-
-    const hints = { name: biz.name, city: biz.city, state: biz.state };
-    const email = await findEmailOnSite(biz.website || biz.url, hints).catch(() => null);
-
-    if (!email) {
-      skipped++;
-      log(`❌ No email for ${biz.name}${biz.city ? ` (${biz.city})` : ''}`);
-      continue;
+  async function processLead(lead) {
+    if (stopped()) return;
+    counts.found++;
+    for (const stage of STAGES) {
+      if (stage !== 'record' && (signal?.aborted || isDone())) return;
+      let ok;
+      try { ok = stages[stage] ? await stages[stage](lead) : true; }
+      catch (e) { on.error?.(e, lead, stage); ok = false; }
+      if (ok === false) { counts.dropped[stage]++; on.drop?.(lead, stage); return; }
     }
+    counts.completed++;
+  }
 
-    withEmail++;
-    const ok = await sendEmail(email, { biz }).catch(() => false);
-
-    if (ok) {
-      sent++;
-      log(`✅ Sent to ${email} (${biz.name})`);
-    } else {
-      skipped++;
-      log(`⚠️ Failed to send to ${email} (${biz.name})`);
+  const from = resumePass ? Math.max(0, passes.findIndex(p => p.name === resumePass)) : 0;
+  for (const pass of passes.slice(from)) {
+    if (stopped()) break;
+    if (pass.when && !pass.when()) continue;
+    on.pass?.(pass);
+    for await (const pg of pass.pages()) {
+      on.page?.(pg, pass);
+      await runPool(pg.items.map(biz => () => processLead({ biz, area: pg.area || '', query: pg.query || '', pass: pass.name })), concurrency);
+      on.pageDone?.(pg, pass);
+      if (stopped()) break;
     }
   }
 
-  const doneBecause = sent >= want ? 'goal_reached' : 'exhausted_results';
-  return { found, withEmail, sent, skipped, inspected, doneBecause };
+  const doneBecause = signal?.aborted ? 'cancelled' : isDone() ? 'goal_reached' : inspectLimit() ? 'inspect_limit' : 'exhausted_results';
+  return { doneBecause, ...counts };
 }
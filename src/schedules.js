@@ -0,0 +1,294 @@
+// src/schedules.js
+import { jsonStore } from './store.js';
+import { expandAreas, splitAreas, localTime, checkTimeZone, DAYS } from './geo.js';
+
+/**
+ * Scheduled / recurring campaigns.
+ *
+ * A schedule is a saved run (the same fields as POST /api/run) plus when to
+ * start it and how to walk its areas:
+ *   { id, name, enabled, cron: '0 9 * * 1-5' | null, everyMinutes: 240 | null, tz,
+ *     areasPerRun, run: { niche, cities, cap, templateIds, ... },
+ *     rotation: { areas: ['Houston, TX', ...], next: 3, cycles: 0 },
+ *     nextAt, lastRunAt, lastJobId, runs: [{ at, jobId, areas }] }
+ *
+ * "cities" is expanded once (Texas -> its biggest cities) and each run takes
+ * the next `areasPerRun` of them, wrapping around at the end; `next` is
+ * persisted, so a restart carries on with the next unvisited area.
+ *
+ * Cron is the usual five fields (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps and names (mon-fri, jan), plus @hourly/@daily/@weekly/@monthly.
+ */
+
+const TZ         = (process.env.SCHEDULE_TZ || '').trim() || undefined; // default: the server's zone
+const GRACE_MS   = Number(process.env.SCHEDULE_MISSED_GRACE_MIN || 60) * 60 * 1000;
+const KEEP_RUNS  = 20;
+const MINUTE_MS  = 60 * 1000;
+
+/* --------------------------------- Cron ---------------------------------- */
+
+const ALIASES = { '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *' };
+const NAMES = {
+  month: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  dow:   DAYS,
+};
+const FIELDS = [
+  { key: 'minute', min: 0, max: 59 },
+  { key: 'hour',   min: 0, max: 23 },
+  { key: 'dom',    min: 1, max: 31 },
+  { key: 'month',  min: 1, max: 12, names: NAMES.month, base: 1 },
+  { key: 'dow',    min: 0, max: 7,  names: NAMES.dow,   base: 0 },
+];
+
+function cronField(text, { key, min, max, names, base }) {
+  const value = (s) => {
+    const i = names ? names.indexOf(s.toLowerCase()) : -1;
+    const n = i >= 0 ? i + base : Number(s);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`Bad ${key} "${s}" in cron`);
+    return n;
+  };
+  const out = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Bad step "${part}" in cron`);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(value);
+    if (to === undefined) to = stepText === undefined ? from : max; // "5/15" = from 5 every 15
+    if (from > to) throw new Error(`Bad range "${part}" in cron`);
+    for (let n = from; n <= to; n += step) out.add(key === 'dow' && n === 7 ? 0 : n);
+  }
+  return out;
+}
+
+export function parseCron(expr) {
+  const text = ALIASES[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron needs 5 fields: minute hour day-of-month month day-of-week');
+  const cron = Object.fromEntries(FIELDS.map((f, i) => [f.key, cronField(parts[i], f)]));
+  cron.anyDom = parts[2] === '*';
+  cron.anyDow = parts[4] === '*';
+  return cron;
+}
+
+/** First minute strictly after `from` that matches the cron, in `tz`. */
+export function nextCronTime(cron, from = Date.now(), tz = TZ) {
+  let t = Math.floor(from / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = from + 366 * 24 * 60 * MINUTE_MS;
+  while (t <= limit) {
+    const c = localTime(t, tz);
+    // Usual cron rule: when both day fields are restricted, either one matching is enough
+    const dayOk = cron.anyDom || cron.anyDow
+      ? cron.dom.has(c.dom) && cron.dow.has(c.dow)
+      : cron.dom.has(c.dom) || cron.dow.has(c.dow);
+    if (!cron.month.has(c.month) || !dayOk) { t += ((23 - c.hour) * 60 + (60 - c.minute)) * MINUTE_MS; continue; }
+    if (!cron.hour.has(c.hour)) { t += (60 - c.minute) * MINUTE_MS; continue; }
+    if (cron.minute.has(c.minute)) return t;
+    t += MINUTE_MS;
+  }
+  return null; // e.g. "0 0 31 2 *"
+}
+
+/* ------------------------------- Schedules ------------------------------- */
+
+function cleanTiming({ cron, everyMinutes, tz }) {
+  const zone = String(tz || '').trim() || undefined;
+  if (zone) checkTimeZone(zone);
+  const expr = String(cron || '').trim();
+  if (expr) {
+    if (nextCronTime(parseCron(expr), Date.now(), zone) === null) throw new Error('That cron never fires');
+    return { cron: expr, everyMinutes: null, tz: zone || null };
+  }
+  const every = Number(everyMinutes);
+  if (!(every >= 1)) throw new Error('Set a cron expression or everyMinutes (>= 1)');
+  return { cron: null, everyMinutes: every, tz: zone || null };
+}
+
+function computeNext(s, from = Date.now()) {
+  if (!s.enabled) return null;
+  if (s.cron) return nextCronTime(parseCron(s.cron), from, s.tz || TZ);
+  return from + s.everyMinutes * MINUTE_MS;
+}
+
+// Sources without areas (a file) or grid runs have nothing to rotate through
+function rotationFor(run) {
+  if (run.grid || run.source?.type === 'file') return { areas: [], next: 0, cycles: 0 };
+  const inputs = Array.isArray(run.cities) ? run.cities.map(String).filter(Boolean) : splitAreas(run.cities);
+  return { areas: inputs.length ? expandAreas(inputs) : [], next: 0, cycles: 0 };
+}
+
+/**
+ * @param {object} o
+ * @param {string} o.file JSON file for schedules
+ * @param {(run:object)=>string|null} [o.validate] checks a run body the way /api/run would; returns an error
+ * @param {(s:object, areas:string[]|null)=>string} o.launch starts a job for the schedule, returns its id
+ *   (areas: this run's slice of the rotation; null = use the run's own cities)
+ * @param {(jobId:string)=>boolean} [o.isRunning] skip a due schedule while its last job is still going
+ * @param {(msg:string)=>void} [o.log]
+ */
+export function createScheduler({ file, validate = () => null, launch, isRunning = () => false, log = () => {} }) {
+  const store = jsonStore(file, { fallback: () => [], label: 'schedules' });
+  const schedules = () => store.data;
+  const find = (id) => schedules().find(s => s.id === id) || null;
+
+  let ticking = false;
+  let timer = null;
+
+  function cleanRun(run) {
+    if (!run || typeof run !== 'object') throw new Error('Missing run settings');
+    const error = validate(run);
+    if (error) throw new Error(error);
+    return { ...run };
+  }
+
+  const cleanAreasPerRun = (n) => Math.min(50, Math.max(1, Math.floor(Number(n) || 1)));
+
+  // The next slice of the rotation; `rotation` only moves once the run has started
+  function nextAreas(s) {
+    const rot = s.rotation;
+    if (!rot?.areas.length) return { areas: null };
+    const n = Math.min(s.areasPerRun, rot.areas.length);
+    const areas = [];
+    let { next, cycles } = rot;
+    for (let i = 0; i < n; i++) {
+      areas.push(rot.areas[next]);
+      if (++next >= rot.areas.length) { next = 0; cycles++; }
+    }
+    return { areas, next, cycles };
+  }
+
+  function fire(s, why) {
+    const { areas, next, cycles } = nextAreas(s);
+    let jobId;
+    try {
+      jobId = launch(s, areas);
+      if (!jobId) throw new Error('no job started');
+    } catch (e) {
+      log(`💥 "${s.name}" could not start: ${String(e?.message || e)}`);
+      s.lastError = String(e?.message || e);
+      store.save();
+      return null;
+    }
+    if (areas) {
+      if (cycles > s.rotation.cycles) log(`🔁 "${s.name}" has visited every area; starting over`);
+      Object.assign(s.rotation, { next, cycles });
+    }
+    const at = Date.now();
+    s.lastRunAt = at;
+    s.lastJobId = jobId;
+    s.lastError = null;
+    s.runs = [{ at, jobId, areas, why }, ...(s.runs || [])].slice(0, KEEP_RUNS);
+    store.save();
+    log(`⏰ "${s.name}" started job ${jobId}${areas ? ` for ${areas.join('; ')}` : ''}`);
+    return jobId;
+  }
+
+  const scheduler = {
+    async load() {
+      await store.load();
+      if (!Array.isArray(store.data)) store.data = [];
+    },
+    flush: () => store.flush(),
+
+    list: () => schedules().slice(),
+    get: find,
+
+    create({ name, enabled = true, cron, everyMinutes, tz, areasPerRun, run }) {
+      const s = {
+        id: `sch-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+        name: String(name || '').trim() || 'Untitled schedule',
+        enabled: !!enabled,
+        ...cleanTiming({ cron, everyMinutes, tz }),
+        areasPerRun: cleanAreasPerRun(areasPerRun),
+        run: cleanRun(run),
+        createdAt: Date.now(),
+        lastRunAt: null,
+        lastJobId: null,
+        runs: [],
+      };
+      s.rotation = rotationFor(s.run);
+      s.nextAt = computeNext(s);
+      schedules().push(s);
+      store.save();
+      return s;
+    },
+
+    update(id, patch = {}) {
+      const s = find(id);
+      if (!s) return null;
+      if (patch.cron !== undefined || patch.everyMinutes !== undefined || patch.tz !== undefined) {
+        const timing = { cron: s.cron, everyMinutes: s.everyMinutes, tz: s.tz, ...patch };
+        if (patch.everyMinutes !== undefined && patch.cron === undefined) timing.cron = null; // switching to an interval
+        Object.assign(s, cleanTiming(timing));
+      }
+      if (patch.run !== undefined) {
+        const run = cleanRun(patch.run);
+        const rot = rotationFor(run);
+        // Same areas: keep our place in the rotation
+        if (rot.areas.join('|') !== s.rotation.areas.join('|')) s.rotation = rot;
+        s.run = run;
+      }
+      if (patch.name !== undefined) s.name = String(patch.name).trim() || s.name;
+      if (patch.areasPerRun !== undefined) s.areasPerRun = cleanAreasPerRun(patch.areasPerRun);
+      if (patch.enabled !== undefined) s.enabled = !!patch.enabled;
+      if (patch.rotationNext !== undefined && s.rotation.areas.length) {
+        s.rotation.next = Math.min(s.rotation.areas.length - 1, Math.max(0, Math.floor(Number(patch.rotationNext) || 0)));
+      }
+      s.nextAt = computeNext(s);
+      s.updatedAt = Date.now();
+      store.save();
+      return s;
+    },
+
+    remove(id) {
+      const idx = schedules().findIndex(s => s.id === id);
+      if (idx < 0) return false;
+      schedules().splice(idx, 1);
+      store.save();
+      return true;
+    },
+
+    /** Start a schedule's next run now; its regular timing is unchanged. */
+    runNow(id) {
+      const s = find(id);
+      if (!s) return null;
+      if (s.lastJobId && isRunning(s.lastJobId)) throw new Error('already_running');
+      return fire(s, 'manual');
+    },
+
+    /* ------------------------------ Scheduler ----------------------------- */
+    tick(now = Date.now()) {
+      if (ticking) return 0;
+      ticking = true;
+      let started = 0;
+      try {
+        for (const s of schedules()) {
+          if (!s.enabled || !s.nextAt || s.nextAt > now) continue;
+          if (now - s.nextAt > GRACE_MS) {
+            // Server was down when it was due: don't fire a stale run hours late
+            log(`⏭️ "${s.name}" missed its ${new Date(s.nextAt).toISOString()} slot; waiting for the next one`);
+          } else if (s.lastJobId && isRunning(s.lastJobId)) {
+            log(`⏭️ "${s.name}" is due but job ${s.lastJobId} is still running; skipping this slot`);
+          } else if (fire(s, 'schedule')) {
+            started++;
+          }
+          s.nextAt = computeNext(s, now);
+          store.save();
+        }
+      } finally {
+        ticking = false;
+      }
+      return started;
+    },
+
+    start(intervalMs = 30000) {
+      clearInterval(timer);
+      timer = setInterval(() => { try { scheduler.tick(); } catch (e) { log(`💥 Schedule tick failed: ${e?.message || e}`); } }, intervalMs);
+      timer.unref?.();
+      return scheduler.tick();
+    },
+
+    stop() { clearInterval(timer); timer = null; },
+  };
+
+  return scheduler;
+}
@@ -0,0 +1,98 @@
+// src/sendwindow.js
+import { localTime, checkTimeZone, DAYS } from './geo.js';
+
+/**
+ * Send windows in the recipient's local time, e.g. Tue–Thu 08:30–11:00.
+ *
+ *   { days: 'tue-thu' | ['tue', 'wed'] | [2, 3], start: '08:30', end: '11:00', tz? }
+ *   or the short form "tue-thu 08:30-11:00"
+ *
+ * cleaned to { days: [2, 3, 4], start: 510, end: 660, tz } (minutes after
+ * midnight; tz is only the fallback for leads whose zone we can't tell).
+ */
+
+const FALLBACK_TZ = (process.env.SEND_WINDOW_DEFAULT_TZ || 'America/New_York').trim();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function dayIndex(d) {
+  const i = typeof d === 'number' ? d : DAYS.indexOf(String(d).trim().toLowerCase().slice(0, 3));
+  if (!Number.isInteger(i) || i < 0 || i > 6) throw new Error(`Bad send window day "${d}"`);
+  return i;
+}
+
+function cleanDays(input) {
+  if (input == null || input === '') return [0, 1, 2, 3, 4, 5, 6];
+  const out = new Set();
+  for (const part of Array.isArray(input) ? input : String(input).split(',')) {
+    const [a, b] = typeof part === 'number' ? [part] : String(part).split('-');
+    const from = dayIndex(typeof part === 'number' ? part : a);
+    const to = b === undefined ? from : dayIndex(b);
+    for (let i = from; ; i = (i + 1) % 7) { out.add(i); if (i === to) break; } // "fri-mon" wraps
+  }
+  return [...out].sort();
+}
+
+function minutes(hhmm, what) {
+  const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(hhmm ?? '').trim());
+  const total = m ? Number(m[1]) * 60 + Number(m[2] || 0) : NaN;
+  if (!(total >= 0 && total <= 24 * 60)) throw new Error(`Send window ${what} should look like 08:30`);
+  return total;
+}
+
+/** Validate a run's send window; null = send whenever the run finds the lead. */
+export function cleanSendWindow(input) {
+  if (!input) return null;
+  let o = input;
+  if (typeof input === 'string') {
+    const m = /^\s*([a-z,\- ]+?)?\s*(\d{1,2}(?::\d{2})?)\s*-\s*(\d{1,2}(?::\d{2})?)\s*$/i.exec(input);
+    if (!m) throw new Error('Send window looks like "tue-thu 08:30-11:00"');
+    o = { days: m[1], start: m[2], end: m[3] };
+  }
+  const days = Array.isArray(o.days) ? o.days : o.days ? String(o.days).replace(/\s+/g, '') : o.days;
+  if (Array.isArray(days) && !days.length) return null;
+  if (!days && !o.start && !o.end) return null;
+  const start = minutes(o.start || '0:00', 'start');
+  const end = minutes(o.end || '24:00', 'end');
+  if (end <= start) throw new Error('Send window has to end after it starts');
+  const tz = o.tz ? checkTimeZone(String(o.tz).trim()) : null;
+  return { days: cleanDays(days), start, end, tz };
+}
+
+/**
+ * When a lead in `tz` may be mailed: `from` itself when the window is open,
+ * else the next opening (to the minute).
+ */
+export function nextOpening(win, tz, from = Date.now()) {
+  const zone = tz || win.tz || FALLBACK_TZ;
+  let t = from;
+  for (let guard = 0; guard < 64 && t < from + 8 * DAY_MS; guard++) {
+    const c = localTime(t, zone);
+    const mod = c.hour * 60 + c.minute;
+    if (win.days.includes(c.dow) && mod >= win.start && mod < win.end) return t;
+    const wait = win.days.includes(c.dow) && mod < win.start ? win.start - mod : 24 * 60 - mod; // later today, or tomorrow
+    t = Math.floor(t / MINUTE_MS) * MINUTE_MS + wait * MINUTE_MS;
+  }
+  return null; // no day picked
+}
+
+export const windowTimeZone = (win, tz) => tz || win.tz || FALLBACK_TZ;
+
+const hhmm = (m) => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+const cap = (d) => d[0].toUpperCase() + d.slice(1);
+
+/** "Tue–Thu 08:30–11:00" */
+export function describeWindow(win) {
+  const d = win.days;
+  const days = d.length === 7 ? 'Every day'
+    : d.every((x, i) => i === 0 || x === d[i - 1] + 1) && d.length > 2 ? `${cap(DAYS[d[0]])}–${cap(DAYS[d[d.length - 1]])}`
+    : d.map(x => cap(DAYS[x])).join(', ');
+  return `${days} ${hhmm(win.start)}–${hhmm(win.end)}`;
+}
+
+/** "Tue 08:30 America/Chicago" for logs and the CSV */
+export function describeLocal(ms, tz) {
+  const c = localTime(ms, tz);
+  return `${cap(DAYS[c.dow])} ${c.month}/${c.dom} ${hhmm(c.hour * 60 + c.minute)} ${tz}`;
+}
@@ -0,0 +1,239 @@
+// src/sequences.js
+import { jsonStore } from './store.js';
+import { validateTemplate } from './render.js';
+
+/**
+ * Multi-step follow-up sequences.
+ *
+ * A sequence is step 1 (sent by the run itself) plus N follow-ups. Each
+ * follow-up waits `delayDays` after the PREVIOUS step went out:
+ *   { id, name, steps: [{ subject, body }, { delayDays: 3, subject, body }, { delayDays: 4, ... }] }
+ *
+ * Contacts carry their own state so the scheduler picks up where it left off
+ * after a restart:
+ *   { email, sequenceId, step, nextAt, status, ctx, threadId, window?, tz?, history: [{ step, at, id, queued? }] }
+ *
+ * When sendEmail only queues the step ({ queued: true }, e.g. the outbox holding it
+ * for a send window or the caps), nextAt stays null until the caller reports the
+ * real send through sent(); the next delay counts from then.
+ *
+ * status: active -> completed | replied | unsubscribed | bounced | stopped
+ * A follow-up with an empty subject goes out as "Re: <step 1 subject>" in the same thread.
+ */
+export const EXIT_REASONS = ['replied', 'unsubscribed', 'bounced', 'stopped'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FAILURES = 3;
+
+function cleanSteps(steps) {
+  if (!Array.isArray(steps) || !steps.length) throw new Error('Sequence needs at least one step');
+  return steps.map((s, i) => {
+    const body = String(s?.body || '').trim();
+    if (!body) throw new Error(`Step ${i + 1} has no body`);
+    const delayDays = i === 0 ? 0 : Number(s?.delayDays);
+    if (i > 0 && !(delayDays > 0)) throw new Error(`Step ${i + 1} needs delayDays > 0`);
+    const subject = String(s?.subject || '').trim();
+    const errors = [...validateTemplate(subject), ...validateTemplate(body)];
+    if (errors.length) throw new Error(`Step ${i + 1}: ${errors.join('; ')}`);
+    return { delayDays, subject, body };
+  });
+}
+
+/**
+ * @param {object} o
+ * @param {string} o.file JSON file for sequences + contact state
+ * @param {(to:string, subject:string, text:string, opts?:object)=>Promise<{id:string, queued?:boolean}>} o.sendEmail
+ *   mails the step, or queues it ({ queued: true }) and reports the send later through sent()
+ * @param {(ctx:object, subject:string, body:string)=>{subject:string,text:string}} o.render
+ * @param {(email:string)=>boolean} [o.canSend] extra gate checked right before each follow-up
+ * @param {(msg:string)=>void} [o.log]
+ * @param {number} [o.throttleMs] pause between follow-ups in one tick
+ */
+export function createSequenceEngine({ file, sendEmail, render, canSend = () => true, log = () => {}, throttleMs = 0 }) {
+  const store = jsonStore(file, { fallback: () => ({ sequences: [], contacts: [] }), label: 'sequences' });
+  const sequences = () => store.data.sequences;
+  const contacts  = () => store.data.contacts;
+  const getSeq = (id) => sequences().find(s => s.id === id) || null;
+  const keyOf = (email) => String(email || '').trim().toLowerCase();
+
+  let ticking = false;
+  let timer = null;
+
+  const engine = {
+    async load() {
+      await store.load();
+      store.data.sequences ||= [];
+      store.data.contacts  ||= [];
+    },
+    flush: () => store.flush(),
+
+    /* ------------------------------ Sequences ----------------------------- */
+    list() {
+      return sequences().map(s => ({
+        ...s,
+        contacts: contacts().filter(c => c.sequenceId === s.id).reduce((acc, c) => {
+          acc[c.status] = (acc[c.status] || 0) + 1;
+          return acc;
+        }, {}),
+      }));
+    },
+
+    get: getSeq,
+
+    create({ name, steps }) {
+      const seq = {
+        id: `seq-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+        name: String(name || '').trim() || 'Untitled sequence',
+        steps: cleanSteps(steps),
+        createdAt: Date.now(),
+      };
+      sequences().push(seq);
+      store.save();
+      return seq;
+    },
+
+    update(id, { name, steps }) {
+      const seq = getSeq(id);
+      if (!seq) return null;
+      if (name !== undefined) seq.name = String(name).trim() || seq.name;
+      if (steps !== undefined) seq.steps = cleanSteps(steps);
+      seq.updatedAt = Date.now();
+      store.save();
+      return seq;
+    },
+
+    remove(id) {
+      const idx = sequences().findIndex(s => s.id === id);
+      if (idx < 0) return false;
+      sequences().splice(idx, 1);
+      for (const c of contacts()) if (c.sequenceId === id && c.status === 'active') c.status = 'stopped';
+      store.save();
+      return true;
+    },
+
+    /* ------------------------------- Contacts ----------------------------- */
+    contacts(sequenceId) {
+      return sequenceId ? contacts().filter(c => c.sequenceId === sequenceId) : contacts().slice();
+    },
+
+    contact(email) {
+      const key = keyOf(email);
+      return contacts().find(c => c.email === key) || null;
+    },
+
+    isActive(email) {
+      return engine.contact(email)?.status === 'active';
+    },
+
+    /** Replied, unsubscribed, bounced or stopped (a completed contact may still have its last step queued). */
+    hasExited(email) {
+      return EXIT_REASONS.includes(engine.contact(email)?.status);
+    },
+
+    /** Record that step 1 went out and schedule the first follow-up. */
+    enroll(email, sequenceId, { ctx = {}, messageId = null, subject = '', window = null, tz = null } = {}) {
+      const seq = getSeq(sequenceId);
+      if (!seq) return null;
+      const key = keyOf(email);
+      if (engine.isActive(key)) return engine.contact(key);
+
+      const now = Date.now();
+      const next = seq.steps[1];
+      const c = {
+        email: key,
+        sequenceId,
+        step: 1,
+        status: next ? 'active' : 'completed',
+        nextAt: next ? now + next.delayDays * DAY_MS : null,
+        ctx,
+        subject,
+        threadId: messageId,
+        ...(window ? { window, tz } : {}), // step 1's send window; follow-ups keep to it
+        history: [{ step: 0, at: now, id: messageId }],
+        enrolledAt: now,
+      };
+      const idx = contacts().findIndex(x => x.email === key);
+      if (idx >= 0) contacts()[idx] = c; else contacts().push(c);
+      store.save();
+      return c;
+    },
+
+    /** A queued follow-up actually went out at `at`: start the wait for the next step from there. */
+    sent(email, { step, at = Date.now(), id = null } = {}) {
+      const c = engine.contact(email);
+      const h = c?.history.find(x => x.step === step && x.queued);
+      if (!h) return null;
+      Object.assign(h, { at, id }); delete h.queued;
+      const next = getSeq(c.sequenceId)?.steps[step + 1];
+      if (c.status === 'active' && c.step === step + 1 && next) c.nextAt = at + next.delayDays * DAY_MS;
+      store.save();
+      return c;
+    },
+
+    /** Take a contact out of its sequence (reply, unsubscribe, bounce, manual). */
+    exit(email, reason = 'stopped') {
+      const c = engine.contact(email);
+      if (!c || c.status !== 'active') return c;
+      c.status = EXIT_REASONS.includes(reason) ? reason : 'stopped';
+      c.nextAt = null;
+      c.exitedAt = Date.now();
+      store.save();
+      log(`🛑 Sequence exit for ${c.email}: ${c.status}`);
+      return c;
+    },
+
+    /* ------------------------------ Scheduler ----------------------------- */
+    due(now = Date.now()) {
+      return contacts().filter(c => c.status === 'active' && c.nextAt && c.nextAt <= now);
+    },
+
+    async tick() {
+      if (ticking) return 0;
+      ticking = true;
+      let sent = 0;
+      try {
+        for (const c of engine.due()) {
+          if (c.status !== 'active') continue; // exited while we were sending others
+          const seq = getSeq(c.sequenceId);
+          const step = seq?.steps[c.step];
+          if (!step) { c.status = 'completed'; c.nextAt = null; store.save(); continue; }
+          if (!canSend(c.email)) { engine.exit(c.email, 'stopped'); continue; }
+
+          const { subject, text } = render({ ...c.ctx, email: c.email }, step.subject || `Re: ${c.subject || ''}`.trim(), step.body);
+          const headers = c.threadId ? { 'In-Reply-To': c.threadId, References: c.threadId } : {};
+          try {
+            const r = await sendEmail(c.email, subject, text, { headers, step: c.step, window: c.window || null, tz: c.tz || null });
+            c.history.push({ step: c.step, at: Date.now(), id: r?.id || null, ...(r?.queued ? { queued: true } : {}) });
+            sent++;
+            log(`📨 Follow-up ${c.step + 1}/${seq.steps.length} ${r?.queued ? 'queued' : 'out'} to ${c.email}`);
+
+            const next = seq.steps[c.step + 1];
+            c.step++;
+            c.status = next ? 'active' : 'completed';
+            c.nextAt = next && !r?.queued ? Date.now() + next.delayDays * DAY_MS : null; // queued: set by sent()
+          } catch (e) {
+            // leave it due so the next tick retries, but don't hammer a dead address forever
+            c.failures = (c.failures || 0) + 1;
+            log(`❌ Follow-up to ${c.email} failed: ${String(e?.message || e)}`.slice(0, 200));
+            if (c.failures >= MAX_FAILURES) engine.exit(c.email, 'stopped');
+          }
+          store.save();
+          if (throttleMs > 0) await new Promise(r => setTimeout(r, throttleMs));
+        }
+      } finally {
+        ticking = false;
+      }
+      return sent;
+    },
+
+    start(intervalMs = 60000) {
+      clearInterval(timer);
+      timer = setInterval(() => engine.tick().catch(e => log(`💥 Sequence tick failed: ${e?.message || e}`)), intervalMs);
+      timer.unref?.();
+      return engine.tick();
+    },
+
+    stop() { clearInterval(timer); timer = null; },
+  };
+
+  return engine;
+}
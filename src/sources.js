@@ -0,0 +1,292 @@
+// src/sources.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { fetchBusinessesPage, placesConfigured } from './places.js';
+import { areaBounds } from './geo.js';
+
+/**
+ * Lead sources. Every provider pages through businesses with the same
+ * contract as Places:
+ *
+ *   fetchPage({ query, niche, area, cursor, pageSize, rectangle?, fields?, extended?, signal? })
+ *     -> { items: [{ placeId, name, website, url, address, city, state, phone?, ... }], nextCursor }
+ *
+ * plus a little metadata the run needs:
+ *   textSearch  true when differently-worded queries find different things (Places)
+ *   areas       false for a fixed list (a file): one pass, cities ignored
+ *   grid        can search a locationRestriction-style rectangle
+ *   available() null when usable, else why not (shown in the dashboard)
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/* -------------------------------- Config -------------------------------- */
+
+export const LEAD_SOURCE = (process.env.LEAD_SOURCE || 'places').trim();
+const LEAD_FILES_DIR  = process.env.LEAD_FILES_DIR || path.join(__dirname, '..', 'leads');
+// A local Overpass instance loaded with an OSM extract, e.g. http://localhost:12345/api/interpreter
+const OVERPASS_URL    = (process.env.OVERPASS_URL || '').trim();
+const OVERPASS_TIMEOUT_S = Number(process.env.OVERPASS_TIMEOUT_S || 60);
+
+const page = (all, cursor, pageSize) => {
+  const from = Number(cursor) || 0;
+  const to = from + Math.max(1, pageSize);
+  return { items: all.slice(from, to), nextCursor: to < all.length ? String(to) : null };
+};
+
+const withScheme = (u) => (!u || /^https?:\/\//i.test(u) ? u || '' : `https://${u}`);
+
+/* -------------------------------- Places -------------------------------- */
+
+const places = {
+  id: 'places',
+  label: 'Google Places',
+  textSearch: true,
+  areas: true,
+  grid: true,
+  available: () => (placesConfigured() ? null : 'GOOGLE_PLACES_KEY is not set'),
+  fetchPage: ({ query, cursor, pageSize, rectangle, fields, extended, signal }) =>
+    fetchBusinessesPage({ query, cursor, pageSize, rectangle, fields, extended, signal }),
+};
+
+/* ------------------------------ CSV / JSON file ------------------------------ */
+
+// Header spellings we accept, compared with case and punctuation stripped
+const COLUMNS = {
+  placeId: ['placeid', 'id', 'googleplaceid'],
+  name:    ['name', 'company', 'business', 'businessname', 'companyname', 'title'],
+  website: ['website', 'url', 'site', 'domain', 'web', 'homepage'],
+  address: ['address', 'formattedaddress', 'street', 'streetaddress'],
+  city:    ['city', 'town', 'locality'],
+  state:   ['state', 'region', 'province', 'st'],
+  phone:   ['phone', 'telephone', 'phonenumber', 'tel'],
+  email:   ['email', 'emailaddress', 'contactemail'],
+  contactName: ['contactname', 'contact', 'fullname', 'owner'],
+  firstName: ['firstname', 'first', 'givenname'],
+  lastName:  ['lastname', 'last', 'surname', 'familyname'],
+};
+export const LEAD_COLUMNS = Object.keys(COLUMNS);
+const keyOf = (h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Map one raw row (any header spelling) onto the lead shape the run expects. */
+export function normalizeRow(raw = {}) {
+  const byKey = Object.fromEntries(Object.entries(raw).map(([k, v]) => [keyOf(k), v]));
+  const pick = (field) => {
+    for (const k of COLUMNS[field]) if (byKey[k] != null && String(byKey[k]).trim() !== '') return String(byKey[k]).trim();
+    return '';
+  };
+  const website = withScheme(pick('website'));
+  return {
+    placeId: pick('placeId'), name: pick('name'), website, url: website,
+    address: pick('address'), city: pick('city'), state: pick('state'),
+    ...(pick('phone') ? { phone: pick('phone') } : {}),
+    ...Object.fromEntries(['email', 'contactName', 'firstName', 'lastName'].filter(f => pick(f)).map(f => [f, pick(f)])),
+  };
+}
+
+/** Best guess at which file header feeds each lead field: { name: 'Company Name', ... }. */
+export function suggestMapping(headers = []) {
+  const out = {};
+  for (const field of LEAD_COLUMNS) {
+    const h = headers.find(x => COLUMNS[field].includes(keyOf(x)));
+    if (h) out[field] = h;
+  }
+  return out;
+}
+
+function leadFilePath(name) {
+  const base = path.basename(String(name || ''));
+  if (!base || !/\.(csv|json)$/i.test(base)) throw new Error('Lead file must be a .csv or .json in the leads folder');
+  return path.join(LEAD_FILES_DIR, base);
+}
+
+const fileCache = new Map(); // path -> { mtimeMs, rows }
+
+async function readLeadFile(name) {
+  const file = leadFilePath(name);
+  const st = await fs.stat(file).catch(() => null);
+  if (!st) throw new Error(`Lead file not found: ${path.basename(file)}`);
+  const hit = fileCache.get(file);
+  if (hit && hit.mtimeMs === st.mtimeMs) return hit.rows;
+
+  const text = await fs.readFile(file, 'utf8');
+  const raw = /\.json$/i.test(file)
+    ? [].concat(JSON.parse(text))
+    : parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, bom: true, relax_column_count: true });
+  const rows = raw.map(normalizeRow).filter(r => r.name || r.website || r.email);
+  fileCache.set(file, { mtimeMs: st.mtimeMs, rows });
+  return rows;
+}
+
+/** Write a lead list (already in lead shape) where the file source can read it. */
+export async function saveLeadFile(name, rows) {
+  const file = leadFilePath(name);
+  await fs.mkdir(LEAD_FILES_DIR, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(rows, null, 2));
+  return path.basename(file);
+}
+
+/** Delete a lead list (an import whose run is done with it); a missing file is fine. */
+export async function removeLeadFile(name) {
+  const file = leadFilePath(name);
+  fileCache.delete(file);
+  await fs.unlink(file).catch(e => { if (e.code !== 'ENOENT') throw e; });
+}
+
+/** .csv/.json files a run can use as its source. */
+export async function listLeadFiles() {
+  const names = await fs.readdir(LEAD_FILES_DIR).catch(() => []);
+  return names.filter(n => /\.(csv|json)$/i.test(n)).sort();
+}
+
+const file = {
+  id: 'file',
+  label: 'CSV / JSON file',
+  textSearch: false,
+  areas: false,
+  grid: false,
+  available: () => null,
+  fetchPage: async ({ cursor, pageSize, options }) => page(await readLeadFile(options.file), cursor, pageSize),
+};
+
+/* ------------------------- OpenStreetMap (Overpass) ------------------------- */
+
+// Niche -> OSM tags. Anything else is matched on the name.
+const OSM_TAGS = {
+  dentist: ['amenity=dentist', 'healthcare=dentist'],
+  orthodontist: ['healthcare:speciality=orthodontics', 'amenity=dentist'],
+  chiropractor: ['healthcare=chiropractor', 'healthcare:speciality=chiropractic'],
+  'physical therapy': ['healthcare=physiotherapist'],
+  physiotherapist: ['healthcare=physiotherapist'],
+  optometrist: ['healthcare=optometrist', 'shop=optician'],
+  veterinarian: ['amenity=veterinary'],
+  vet: ['amenity=veterinary'],
+  doctor: ['amenity=doctors', 'healthcare=doctor'],
+  'med spa': ['leisure=spa', 'shop=beauty'],
+  spa: ['leisure=spa', 'shop=beauty'],
+  salon: ['shop=hairdresser', 'shop=beauty'],
+  barber: ['shop=hairdresser'],
+  gym: ['leisure=fitness_centre'],
+  hvac: ['craft=hvac'],
+  plumber: ['craft=plumber'],
+  electrician: ['craft=electrician'],
+  roofer: ['craft=roofer'],
+  roofing: ['craft=roofer'],
+  'auto repair': ['shop=car_repair'],
+  mechanic: ['shop=car_repair'],
+  lawyer: ['office=lawyer'],
+  attorney: ['office=lawyer'],
+  accountant: ['office=accountant'],
+  insurance: ['office=insurance'],
+  'real estate': ['office=estate_agent'],
+  restaurant: ['amenity=restaurant'],
+};
+
+const quote = (s) => `"${String(s).replace(/["\\]/g, '\\$&')}"`;
+
+function osmFilters(niche, tags) {
+  const list = tags?.length ? tags : OSM_TAGS[String(niche || '').toLowerCase().trim()];
+  if (list?.length) return list.map(t => { const [k, v] = t.split('='); return v ? `[${quote(k)}=${quote(v)}]` : `[${quote(k)}]`; });
+  return [`["name"~${quote(String(niche || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))},i]`];
+}
+
+function fromOsm(el) {
+  const t = el.tags || {};
+  const website = withScheme(t.website || t['contact:website'] || t.url || '');
+  const street = [t['addr:housenumber'], t['addr:street']].filter(Boolean).join(' ');
+  return {
+    placeId: `osm:${el.type}/${el.id}`,
+    name: t.name || '',
+    website, url: website,
+    address: [street, t['addr:city'], [t['addr:state'], t['addr:postcode']].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+    city: t['addr:city'] || '',
+    state: t['addr:state'] || '',
+    ...(t['addr:postcode'] ? { postalCode: t['addr:postcode'] } : {}),
+    ...(el.center || el.lat != null ? { lat: el.center?.lat ?? el.lat, lng: el.center?.lon ?? el.lon } : {}),
+    ...(t.phone || t['contact:phone'] ? { phone: t.phone || t['contact:phone'] } : {}),
+    ...(t.opening_hours ? { hours: t.opening_hours } : {}),
+  };
+}
+
+const overpassCache = new Map(); // query text -> items (Overpass answers all at once; we page locally)
+
+async function overpassSearch(ql) {
+  if (overpassCache.has(ql)) return overpassCache.get(ql);
+  const resp = await fetch(OVERPASS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ data: ql }),
+    signal: AbortSignal.timeout((OVERPASS_TIMEOUT_S + 10) * 1000),
+  });
+  if (!resp.ok) throw new Error(`Overpass failed: ${resp.status} ${(await resp.text().catch(() => '')).slice(0, 200)}`);
+  const items = ((await resp.json()).elements || []).map(fromOsm).filter(b => b.name);
+  if (overpassCache.size >= 50) overpassCache.delete(overpassCache.keys().next().value);
+  overpassCache.set(ql, items);
+  return items;
+}
+
+const overpass = {
+  id: 'overpass',
+  label: 'OpenStreetMap (Overpass)',
+  textSearch: false,
+  areas: true,
+  grid: true,
+  available: () => (OVERPASS_URL ? null : 'OVERPASS_URL is not set'),
+  async fetchPage({ niche, area, rectangle, cursor, pageSize, options }) {
+    const b = rectangle
+      ? { south: rectangle.low.latitude, west: rectangle.low.longitude, north: rectangle.high.latitude, east: rectangle.high.longitude }
+      : areaBounds(area);
+    if (!b) throw new Error(`Don't know where "${area}" is; use a US city, ZIP or a grid`);
+    const bbox = `${b.south},${b.west},${b.north},${b.east}`;
+    const ql = `[out:json][timeout:${OVERPASS_TIMEOUT_S}];(${osmFilters(niche, options.tags).map(f => `nwr${f}(${bbox});`).join('')});out center tags;`;
+    return page(await overpassSearch(ql), cursor, pageSize);
+  },
+};
+
+/* -------------------------------- Registry -------------------------------- */
+
+const SOURCES = { places, file, overpass };
+
+export function getSource(id) {
+  return SOURCES[id] || null;
+}
+
+export const listSources = () => Object.values(SOURCES).map(s => ({
+  id: s.id, label: s.label, areas: s.areas, grid: s.grid, unavailable: s.available(),
+}));
+
+/**
+ * Validate a run's source choice: "places" | { type, file?, tags? }.
+ * Returns { type, file?, tags? }; throws when the source can't be used.
+ */
+export function cleanSource(input) {
+  const o = typeof input === 'string' ? { type: input } : (input || {});
+  const type = String(o.type || LEAD_SOURCE).trim();
+  const src = getSource(type);
+  if (!src) throw new Error(`Unknown lead source "${type}"`);
+  const why = src.available();
+  if (why) throw new Error(`${src.label} unavailable: ${why}`);
+
+  const out = { type };
+  if (type === 'file') {
+    if (!o.file) throw new Error('Pick a lead file');
+    out.file = path.basename(leadFilePath(o.file));
+  }
+  if (type === 'overpass' && o.tags) {
+    out.tags = (Array.isArray(o.tags) ? o.tags : String(o.tags).split(',')).map(s => s.trim()).filter(Boolean);
+    if (out.tags.some(t => !/^[\w:]+(=[^=]+)?$/.test(t))) throw new Error('OSM tags look like "amenity=dentist"');
+  }
+  return out;
+}
+
+/**
+ * Bind a run's source params into one fetchPage(o) the run loop calls,
+ * e.g. fetchPage({ query, area, cursor, pageSize: 20 }).
+ */
+export function sourceFor(params = {}, defaults = {}) {
+  const src = getSource(params.type || 'places');
+  if (!src) throw new Error(`Unknown lead source "${params.type}"`);
+  return { ...src, fetchPage: (o) => src.fetchPage({ pageSize: 20, ...defaults, ...o, options: params }) };
+}
@@ -0,0 +1,35 @@
+// src/store.js
+import fs from 'fs/promises';
+
+/**
+ * Tiny JSON-file persistence with debounced writes (same idea as the SENT dedupe file).
+ * Usage:
+ *   const store = jsonStore('/path/queue.json', { fallback: () => [] });
+ *   await store.load(); store.data.push(x); store.save();
+ */
+export function jsonStore(file, { fallback = () => ({}), delayMs = 1000, label = 'store' } = {}) {
+  let timer = null;
+  const store = {
+    file,
+    data: fallback(),
+
+    async load() {
+      try { store.data = JSON.parse(await fs.readFile(file, 'utf8')); }
+      catch { store.data = fallback(); }
+      return store.data;
+    },
+
+    save() {
+      clearTimeout(timer);
+      timer = setTimeout(() => store.flush(), delayMs);
+    },
+
+    async flush() {
+      clearTimeout(timer);
+      timer = null;
+      try { await fs.writeFile(file, JSON.stringify(store.data, null, 2)); }
+      catch (e) { console.warn(`[${label}] save failed:`, e?.message); }
+    },
+  };
+  return store;
+}
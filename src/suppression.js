@@ -0,0 +1,102 @@
+// src/suppression.js
+import { jsonStore } from './store.js';
+
+/**
+ * Do-not-contact list. Unlike SENT (which only means "already emailed"),
+ * anything in here must never be mailed again: hard bounces, unsubscribes,
+ * competitors, clients.
+ *
+ * Rules (keys), normalised to lower case:
+ *   bob@acme.com     exact address
+ *   acme.com         whole domain, subdomains included (@acme.com works too)
+ *   noreply@*        pattern, `*` matches anything (e.g. *@*.gov, info@acme.*)
+ *
+ * entry shape: { reason, source, at }
+ */
+export function ruleType(rule) {
+  if (rule.includes('*')) return 'pattern';
+  return rule.indexOf('@') > 0 ? 'address' : 'domain';
+}
+
+export function normalizeRule(value) {
+  let v = String(value || '').trim().toLowerCase();
+  if (!v) return '';
+  if (v.startsWith('mailto:')) v = v.slice(7);
+  if (!v.includes('*') && v.startsWith('@')) v = v.slice(1); // "@acme.com" is a domain block
+  return /^[a-z0-9._%+*@-]+$/.test(v) ? v : '';
+}
+
+const patternToRegex = (p) => new RegExp('^' + p.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+
+export function createSuppressionList(file) {
+  const store = jsonStore(file, { fallback: () => ({}), label: 'suppression' });
+  const keyOf = (email) => String(email || '').trim().toLowerCase();
+  let patterns = null; // [[rule, RegExp]] rebuilt lazily after changes
+
+  const compiled = () => {
+    patterns ||= Object.keys(store.data).filter(r => ruleType(r) === 'pattern').map(r => [r, patternToRegex(r)]);
+    return patterns;
+  };
+
+  const list = {
+    async load() { await store.load(); patterns = null; },
+    flush: () => store.flush(),
+
+    /** The rule that blocks this address (or null). */
+    match(email) {
+      const key = keyOf(email);
+      if (!key) return null;
+      if (store.data[key]) return { rule: key, ...store.data[key] };
+
+      // acme.com blocks bob@acme.com and bob@mail.acme.com
+      const labels = (key.split('@')[1] || '').split('.');
+      for (let i = 0; i < labels.length - 1; i++) {
+        const d = labels.slice(i).join('.');
+        if (store.data[d]) return { rule: d, ...store.data[d] };
+      }
+
+      for (const [rule, re] of compiled()) if (re.test(key)) return { rule, ...store.data[rule] };
+      return null;
+    },
+
+    has(email) { return !!list.match(email); },
+
+    get(rule) {
+      return store.data[normalizeRule(rule)] || null;
+    },
+
+    add(value, reason = 'manual', source = '') {
+      const rule = normalizeRule(value);
+      if (!rule) return null;
+      store.data[rule] = { reason, source, at: Date.now() };
+      patterns = null;
+      store.save();
+      return { rule, type: ruleType(rule), ...store.data[rule] };
+    },
+
+    remove(value) {
+      const rule = normalizeRule(value);
+      if (!(rule in store.data)) return false;
+      delete store.data[rule];
+      patterns = null;
+      store.save();
+      return true;
+    },
+
+    list({ type, q } = {}) {
+      const needle = String(q || '').toLowerCase();
+      return Object.entries(store.data)
+        .map(([rule, v]) => ({ rule, type: ruleType(rule), ...v }))
+        .filter(e => (!type || e.type === type) && (!needle || e.rule.includes(needle)));
+    },
+
+    counts() {
+      const out = { address: 0, domain: 0, pattern: 0 };
+      for (const r of Object.keys(store.data)) out[ruleType(r)]++;
+      return out;
+    },
+
+    get size() { return Object.keys(store.data).length; },
+  };
+  return list;
+}
@@ -0,0 +1,79 @@
+// src/templates.js
+import fs from 'fs/promises';
+import { jsonStore } from './store.js';
+import { validateTemplate } from './render.js';
+
+/**
+ * Template library in a runtime JSON file (gitignored, like the other stores).
+ * The first start copies the shipped examples from `seed` (public/templates.json),
+ * which is never written. Entries: { id, name, subject, body, updatedAt? }.
+ * Hand-written entries without an id get one derived from their name.
+ */
+const slug = (s) => String(s || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'template';
+
+function clean({ name, subject, body } = {}, prev = {}) {
+  const out = {
+    name: String(name ?? prev.name ?? '').trim(),
+    subject: String(subject ?? prev.subject ?? '').trim(),
+    body: String(body ?? prev.body ?? '').replace(/\r\n/g, '\n'),
+  };
+  if (!out.name) throw new Error('Template needs a name');
+  if (!out.subject) throw new Error('Template needs a subject');
+  if (!out.body.trim()) throw new Error('Template needs a body');
+  const errors = [...validateTemplate(out.subject), ...validateTemplate(out.body)];
+  if (errors.length) throw new Error(errors.join('; '));
+  return out;
+}
+
+export function createTemplateLibrary(file, { seed } = {}) {
+  const store = jsonStore(file, { fallback: () => [], label: 'templates', delayMs: 200 });
+  const items = () => store.data;
+
+  const uniqueId = (name) => {
+    const base = slug(name);
+    let id = base, n = 2;
+    while (items().some(t => t.id === id)) id = `${base}-${n++}`;
+    return id;
+  };
+
+  return {
+    async load() {
+      const fresh = await fs.access(file).then(() => false, () => true);
+      await store.load();
+      if (fresh && seed) {
+        try { store.data = JSON.parse(await fs.readFile(seed, 'utf8')); store.save(); }
+        catch (e) { console.warn('[templates] seed failed:', e?.message); }
+      }
+      if (!Array.isArray(store.data)) store.data = [];
+      for (const t of items()) if (!t.id) t.id = uniqueId(t.name);
+    },
+    flush: () => store.flush(),
+
+    list: () => items().slice(),
+
+    get: (id) => items().find(t => t.id === id) || null,
+
+    create(input) {
+      const t = { id: uniqueId(input?.name), ...clean(input), updatedAt: Date.now() };
+      items().push(t);
+      store.save();
+      return t;
+    },
+
+    update(id, input) {
+      const t = items().find(x => x.id === id);
+      if (!t) return null;
+      Object.assign(t, clean(input, t), { updatedAt: Date.now() });
+      store.save();
+      return t;
+    },
+
+    remove(id) {
+      const idx = items().findIndex(t => t.id === id);
+      if (idx < 0) return false;
+      items().splice(idx, 1);
+      store.save();
+      return true;
+    },
+  };
+}
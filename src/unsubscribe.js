@@ -0,0 +1,42 @@
+// src/unsubscribe.js
+import crypto from 'crypto';
+
+/* -------------------------------- Config -------------------------------- */
+
+// Public origin recipients can reach, e.g. https://leads.example.com (no trailing slash)
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+const SECRET = process.env.UNSUBSCRIBE_SECRET || process.env.BASIC_AUTH_PASS || '';
+
+if (PUBLIC_BASE_URL && !process.env.UNSUBSCRIBE_SECRET) {
+  console.warn('[unsubscribe] UNSUBSCRIBE_SECRET not set; signing links with BASIC_AUTH_PASS. Changing it breaks old links.');
+}
+
+/* -------------------------------- Tokens -------------------------------- */
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sign = (email) => crypto.createHmac('sha256', SECRET).update(email).digest().subarray(0, 16);
+
+/** Token = base64url(email) "." base64url(hmac(email)). No state needed to verify. */
+export function unsubscribeToken(email) {
+  const key = String(email || '').trim().toLowerCase();
+  if (!key || !SECRET) return null;
+  return `${b64url(key)}.${b64url(sign(key))}`;
+}
+
+/** @returns {string|null} the email the token was issued for, or null if forged/garbled */
+export function verifyUnsubscribeToken(token = '') {
+  const [p, sig] = String(token).split('.');
+  if (!p || !sig || !SECRET) return null;
+  let email, given;
+  try { email = Buffer.from(p, 'base64url').toString('utf8'); given = Buffer.from(sig, 'base64url'); }
+  catch { return null; }
+  const want = sign(email);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return null;
+  return email;
+}
+
+/** Hosted one-click link for a recipient, or '' when PUBLIC_BASE_URL isn't configured. */
+export function unsubscribeUrl(email) {
+  const t = PUBLIC_BASE_URL && unsubscribeToken(email);
+  return t ? `${PUBLIC_BASE_URL}/u/${t}` : '';
+}
@@ -0,0 +1,185 @@
+// src/verify.js
+import dns from 'dns';
+import net from 'net';
+import crypto from 'crypto';
+import { jsonStore } from './store.js';
+
+/* -------------------------------- Config -------------------------------- */
+
+const on = (v, dflt) => String(v ?? dflt).match(/^(1|true|yes)$/i);
+
+const VERIFY_ENABLED = on(process.env.VERIFY_EMAILS, '1');
+const SMTP_PROBE     = on(process.env.VERIFY_SMTP, '0');             // RCPT probe (needs outbound :25)
+const SMTP_PORT      = Number(process.env.VERIFY_SMTP_PORT || 25);
+const TIMEOUT_MS     = Number(process.env.VERIFY_TIMEOUT_MS || 8000);
+const CACHE_DAYS     = Number(process.env.VERIFY_CACHE_DAYS || 30);
+const PROBE_FROM     = (process.env.VERIFY_SMTP_FROM || process.env.EMAIL_USER || 'info@agentlyne.com').trim();
+const HELO_HOST      = (process.env.VERIFY_HELO || PROBE_FROM.split('@')[1] || 'localhost').trim();
+// e.g. "127.0.0.1:5353" to point lookups at a local stand-in
+const DNS_SERVERS    = String(process.env.VERIFY_DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/* ------------------------------ Static checks ----------------------------- */
+
+const SYNTAX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}$/i;
+
+// "logo@2x.png", "bg@retina.jpg" and friends that the page scan picks up from asset names
+const FILE_NAME = /\.(png|jpe?g|gif|svg|webp|avif|bmp|ico|css|js|json|pdf|mp4|webm|woff2?)$/i;
+const PLACEHOLDER_DOMAIN = /^(example\.(com|org|net)|domain\.com|yourdomain\.com|yoursite\.com|website\.com|test\.com|(.*\.)?sentry\.io|(.*\.)?wixpress\.com)$/i;
+const PLACEHOLDER_LOCAL  = /^(your-?(name|email)?|name|email|user(name)?|john\.?doe|jane\.?doe|example|someone)$/i;
+
+/** Checks that need no network. @returns {null|{verdict:'invalid', reason:string}} */
+export function staticCheck(email) {
+  const e = String(email || '').trim().toLowerCase();
+  const [local = '', domain = ''] = e.split('@');
+  if (!SYNTAX.test(e) || local.length > 64 || domain.length > 253) return { verdict: 'invalid', reason: 'syntax' };
+  if (FILE_NAME.test(domain)) return { verdict: 'invalid', reason: 'file_name' };
+  if (PLACEHOLDER_DOMAIN.test(domain) || PLACEHOLDER_LOCAL.test(local)) return { verdict: 'invalid', reason: 'placeholder' };
+  return null;
+}
+
+/* ------------------------------- SMTP probe ------------------------------- */
+
+// Minimal line-based SMTP client: one reply per command, multi-line replies folded
+function smtpSession(host, port, timeoutMs) {
+  const sock = net.connect({ host, port });
+  sock.setEncoding('utf8');
+  let buf = '', error = null;
+  const replies = [], waiters = [];
+
+  const flush = () => {
+    while (waiters.length && (replies.length || error)) {
+      const w = waiters.shift();
+      if (replies.length) w.resolve(replies.shift()); else w.reject(error);
+    }
+  };
+  const fail = (e) => { error ||= e; flush(); };
+
+  sock.on('data', (d) => {
+    buf += d;
+    let i;
+    while ((i = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, i).replace(/\r$/, '');
+      buf = buf.slice(i + 1);
+      if (/^\d{3}( |$)/.test(line)) replies.push({ code: Number(line.slice(0, 3)), text: line });
+    }
+    flush();
+  });
+  sock.on('error', fail);
+  sock.on('close', () => fail(new Error('smtp_closed')));
+  sock.setTimeout(timeoutMs, () => { fail(new Error('smtp_timeout')); sock.destroy(); });
+
+  const reply = () => new Promise((resolve, reject) => { waiters.push({ resolve, reject }); flush(); });
+  return {
+    reply,
+    cmd(line) { sock.write(line + '\r\n'); return reply(); },
+    close() { if (!sock.destroyed) sock.end('QUIT\r\n'); },
+  };
+}
+
+/* -------------------------------- Verifier -------------------------------- */
+
+/**
+ * verdict: valid | invalid | risky | unknown
+ *   invalid  bad syntax, asset file name, placeholder, no MX, mailbox rejected (5xx)
+ *   risky    server accepts any address (catch-all), so the mailbox can't be confirmed
+ *   unknown  DNS/SMTP trouble; not cached, worth sending
+ * Results: { email, verdict, reason, mx, catchAll, smtp?, checkedAt }
+ */
+export function createEmailVerifier({
+  file,
+  enabled = VERIFY_ENABLED,
+  smtpProbe = SMTP_PROBE,
+  smtpPort = SMTP_PORT,
+  timeoutMs = TIMEOUT_MS,
+  cacheDays = CACHE_DAYS,
+  dnsServers = DNS_SERVERS,
+  from = PROBE_FROM,
+  helo = HELO_HOST,
+} = {}) {
+  const store = jsonStore(file, { fallback: () => ({}), label: 'verify' });
+  const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+  if (dnsServers.length) resolver.setServers(dnsServers);
+
+  const mxCache = new Map();       // domain -> { hosts } | { error }
+  const catchAllCache = new Map(); // domain -> boolean
+  const ttl = cacheDays * 24 * 60 * 60 * 1000;
+
+  async function mxFor(domain) {
+    if (mxCache.has(domain)) return mxCache.get(domain);
+    let out;
+    try {
+      const recs = await resolver.resolveMx(domain);
+      const hosts = recs.filter(r => r.exchange && r.exchange !== '.').sort((a, b) => a.priority - b.priority).map(r => r.exchange);
+      out = hosts.length ? { hosts } : { error: recs.length ? 'null_mx' : 'no_mx' };
+    } catch (e) {
+      if (e.code === 'ENODATA' || e.code === 'ENOTFOUND') {
+        // RFC 5321 §5.1: no MX records means the domain's own A record takes mail
+        try {
+          const a = await resolver.resolve4(domain);
+          out = a.length ? { hosts: [domain] } : { error: 'no_mx' };
+        } catch { out = { error: e.code === 'ENOTFOUND' ? 'no_domain' : 'no_mx' }; }
+      } else {
+        return { error: 'dns_error', transient: true };
+      }
+    }
+    mxCache.set(domain, out);
+    return out;
+  }
+
+  async function probe(email, domain, host) {
+    if (catchAllCache.get(domain)) return { verdict: 'risky', reason: 'catch_all', catchAll: true };
+    // resolve the MX host with our resolver too, so a local DNS stand-in covers the whole path
+    const ip = net.isIP(host) ? host : (await resolver.resolve4(host).catch(() => []))[0] || host;
+    const s = smtpSession(ip, smtpPort, timeoutMs);
+    try {
+      if ((await s.reply()).code !== 220) return { verdict: 'unknown', reason: 'smtp_refused' };
+      if ((await s.cmd(`EHLO ${helo}`)).code !== 250 && (await s.cmd(`HELO ${helo}`)).code !== 250) {
+        return { verdict: 'unknown', reason: 'smtp_helo_rejected' };
+      }
+      if ((await s.cmd(`MAIL FROM:<${from}>`)).code !== 250) return { verdict: 'unknown', reason: 'smtp_from_rejected' };
+
+      const r = await s.cmd(`RCPT TO:<${email}>`);
+      if (r.code >= 500) return { verdict: 'invalid', reason: 'mailbox_rejected', smtp: r.text };
+      if (r.code >= 400) return { verdict: 'unknown', reason: 'smtp_tempfail', smtp: r.text };
+
+      // A mailbox nobody has: if that's accepted too, the server takes everything
+      const junk = await s.cmd(`RCPT TO:<${crypto.randomBytes(8).toString('hex')}@${domain}>`);
+      const catchAll = junk.code < 300;
+      catchAllCache.set(domain, catchAll);
+      return catchAll ? { verdict: 'risky', reason: 'catch_all', catchAll } : { verdict: 'valid', reason: 'mailbox_ok', catchAll };
+    } catch (e) {
+      return { verdict: 'unknown', reason: e.message === 'smtp_timeout' ? 'smtp_timeout' : 'smtp_error' };
+    } finally {
+      s.close();
+    }
+  }
+
+  async function check(email) {
+    const bad = staticCheck(email);
+    if (bad) return bad;
+    const domain = email.split('@')[1];
+    const mx = await mxFor(domain);
+    if (mx.error) return { verdict: mx.transient ? 'unknown' : 'invalid', reason: mx.error };
+    if (!smtpProbe) return { verdict: 'valid', reason: 'mx_ok', mx: mx.hosts[0] };
+    return { mx: mx.hosts[0], ...(await probe(email, domain, mx.hosts[0])) };
+  }
+
+  const verifier = {
+    load: () => store.load(),
+    flush: () => store.flush(),
+    get enabled() { return !!enabled; },
+
+    /** Cached per address for `cacheDays`; 'unknown' results are always re-checked. */
+    async verify(email) {
+      const key = String(email || '').trim().toLowerCase();
+      if (!enabled) return { email: key, verdict: 'unknown', reason: 'disabled' };
+      const hit = store.data[key];
+      if (hit && Date.now() - hit.checkedAt < ttl) return hit;
+
+      const out = { email: key, mx: '', catchAll: null, ...(await check(key)), checkedAt: Date.now() };
+      if (out.verdict !== 'unknown') { store.data[key] = out; store.save(); }
+      return out;
+    },
+  };
+  return verifier;
+}